@@ -4,8 +4,29 @@ class Csv2Table {
      * @param {string} options.containerId ID of the container element
      * @param {string} [options.csvUrl] URL to the CSV file
      * @param {string} [options.csvData] Raw CSV data string
-     * @param {Array} [options.columns] Array of column configs e.g. [{type: 'number'}, {type: 'string'}]
+     * @param {Array} [options.columns] Array of column configs e.g. [{type: 'number'}, {type: 'string', alias: 'bd'}].
+     *   `searchOn: 'display' | 'raw' | 'both'` (default 'both') chooses whether search terms match the formatted or the CSV value
      * @param {boolean} [options.responsive=true] True for responsive stacking, false for horizontal scroll
+     * @param {string} [options.delimiter=','] Field delimiter, or 'auto' to detect comma, tab, semicolon or pipe
+     * @param {string} [options.encoding='utf-8'] Encoding of csvUrl: 'utf-8', 'shift_jis', 'euc-jp', 'utf-16le' or 'auto'
+     * @param {Function} [options.onProgress] Called while csvUrl is streamed with {bytesRead, totalBytes, rowsParsed, done}
+     * @param {boolean} [options.useWorker=false] Parse, search and sort in a Web Worker instead of the UI thread
+     * @param {boolean|Object} [options.pagination=false] True or {pageSize: 20, pageSizes: [10, 20, 50, 100]} to split rows into pages
+     * @param {boolean} [options.headerFilters=false] Show a filter button in each header: a value checklist, a range slider
+     *   for number columns or a date range for date columns. A column's `filter` ('values', 'range', 'dateRange' or false) overrides it
+     * @param {Function} [options.onSearchError] Called with (diagnostics, instance) when the search query has errors or warnings
+     * @param {boolean} [options.regexSearch=true] Allow /pattern/flags literals in the search box; disable for untrusted audiences
+     * @param {boolean} [options.highlightMatches=true] Wrap the text matched by the search in <mark class="csv2table-highlight">
+     * @param {boolean} [options.autocomplete=true] Suggest column names, operators and values while typing a search
+     * @param {boolean|Object} [options.normalize=true] Fold text before matching search terms: true or
+     *   {nfkc: true, kana: true, width: true, diacritics: true}; a column's `normalize: false` opts it out
+     * @param {boolean} [options.fuzzySearch=false] Match every search term approximately, as if written ~term
+     * @param {number} [options.fuzzyThreshold=0.7] Minimum similarity (0-1) for an approximate match; 0.7 allows one typo in five letters
+     * @param {Array<string>} [options.nullValues=['', '-', 'N/A', 'NULL']] Cell values that mean "no value" for Col:empty,
+     *   sorting (always last) and formatting (shown as is); a column's `nullValues` overrides it
+     * @param {boolean} [options.queryBuilder=false] Add a button that opens a panel for building the search from condition rows and AND/OR groups
+     * @param {Array<Object>} [options.initialSort] Initial sort keys e.g. [{column: 'Department'}, {column: 2, direction: 'desc'}]
+     * @param {boolean|Object} [options.virtualScroll=false] True or {height: '400px', rowHeight, buffer: 10} to render only visible rows (scroll layout only)
      */
     constructor(options) {
         this.containerId = options.containerId;
@@ -13,46 +34,159 @@ class Csv2Table {
         this.csvData = options.csvData;
         this.columns = options.columns || [];
         this.initialSearch = options.initialSearch || '';
+        this.initialSort = options.initialSort || [];
+        this.regexSearch = options.regexSearch !== false;
+        this.highlightMatches = options.highlightMatches !== false;
+        this.autocomplete = options.autocomplete !== false;
+        this.queryBuilder = options.queryBuilder === true;
+        this.fuzzySearch = options.fuzzySearch === true;
+        this.fuzzyThreshold = options.fuzzyThreshold !== undefined ? options.fuzzyThreshold : 0.7;
+        this.nullValues = options.nullValues || ['', '-', 'N/A', 'NULL'];
+        this.normalize = options.normalize !== false ? Object.assign({
+            nfkc: true,
+            kana: true,
+            width: true,
+            diacritics: true
+        }, options.normalize === true || options.normalize === undefined ? {} : options.normalize) : null;
         this.hiddenColumns = options.hiddenColumns || [];
         this.onRenderComplete = options.onRenderComplete || null;
+        this.onProgress = options.onProgress || null;
+        this.onSearchError = options.onSearchError || null;
         this.responsive = options.responsive !== undefined ? options.responsive : true;
+        this.delimiter = options.delimiter || ',';
+        this.encoding = options.encoding || 'utf-8';
+        this.useWorker = options.useWorker === true;
+        this.headerFilters = options.headerFilters === true;
+        this.pagination = options.pagination ? Object.assign({
+            pageSize: 20,
+            pageSizes: [10, 20, 50, 100]
+        }, options.pagination === true ? {} : options.pagination) : null;
+        if (this.pagination && !this.pagination.pageSizes.includes(this.pagination.pageSize)) {
+            this.pagination.pageSizes = this.pagination.pageSizes.concat(this.pagination.pageSize).sort((a, b) => a - b);
+        }
+        this.virtualScroll = options.virtualScroll && !this.responsive ? Object.assign({
+            height: '400px',
+            rowHeight: null,
+            buffer: 10
+        }, options.virtualScroll === true ? {} : options.virtualScroll) : null;
         this.i18n = Object.assign({
             searchPlaceholder: 'Search...',
             filterColumns: 'Filter Columns \u25bc',
             noData: 'No data found',
-            errorLoading: 'Error loading CSV data.'
+            errorLoading: 'Error loading CSV data.',
+            loadingRows: 'Loading... {rows} rows',
+            rowsPerPage: 'Rows per page',
+            pageInfo: 'Showing {start}\u2013{end} of {total}',
+            firstPage: '\u00ab',
+            prevPage: '\u2039',
+            nextPage: '\u203a',
+            lastPage: '\u00bb',
+            filterValues: 'Filter values',
+            filterSearchPlaceholder: 'Search values...',
+            selectAll: 'Select all',
+            selectNone: 'Select none',
+            emptyValue: '(empty)',
+            rangeFrom: 'From',
+            rangeTo: 'To',
+            clearFilter: 'Clear',
+            removeFilter: 'Remove filter',
+            suggestColumn: 'column',
+            suggestOperator: 'operator',
+            searchColumnNotFound: 'Column not found: {column}',
+            searchMissingColumn: 'Missing column after {prefix}',
+            searchMissingValue: 'Missing value after {column}:',
+            searchMissingTerm: 'Missing search term after {token}',
+            searchMissingQuote: 'Missing closing quote',
+            searchMissingParenthesis: 'Missing closing parenthesis',
+            searchUnmatchedParenthesis: 'Unmatched closing parenthesis',
+            searchEmptyParentheses: 'Empty parentheses',
+            searchEmptyValueList: 'Empty value list',
+            searchUnexpectedToken: 'Unexpected {token}',
+            searchFuzzyOperator: '~ only applies to plain search terms',
+            searchRegexTooLong: 'Regular expression is too long',
+            searchRegexNestedQuantifier: 'Nested quantifiers are not allowed in regular expressions',
+            searchRegexRepeatedAlternation: 'Repeated groups with alternatives (|) are not allowed in regular expressions',
+            queryBuilder: 'Query Builder',
+            builderAnyColumn: 'Any column',
+            builderContains: 'contains',
+            builderSimilar: 'is similar to',
+            builderEmpty: 'is empty',
+            builderMatches: 'matches /regex/',
+            builderValuePlaceholder: 'Value',
+            builderNot: 'NOT',
+            builderAddCondition: '+ Condition',
+            builderAddGroup: '+ Group',
+            builderRemove: 'Remove'
         }, options.i18n || {});
 
         this.data = [];
         this.headers = [];
-        this.sortColumn = null;
-        this.sortAsc = true;
+        this.detectedDelimiter = null;
+        this.detectedEncoding = null;
+        this.loading = false;
+        this.progress = null;
+        this.sortStack = [];
         this.searchQuery = '';
         this.searchAST = null;
+        this.searchDiagnostics = [];
         this.visibleColumns = new Set();
+        this.columnFilters = new Map();
+        this.filterPanel = null;
+        this.queryModel = null;
+        this.queryBuilderElement = null;
+        this.valueCountCache = null;
+        this.rowIndices = [];
+        this.currentPage = 1;
+        this.pageSize = this.pagination ? this.pagination.pageSize : Infinity;
+        this.virtualTbody = null;
+        this.virtualRows = [];
+        this.virtualRange = null;
+        this.virtualRowHeight = this.virtualScroll ? (this.virtualScroll.rowHeight || 40) : 0;
+        this.virtualRowHeightMeasured = false;
+        this.worker = null;
+        this.fallbackEngine = null;
+        this.workerRequests = new Map();
+        this.workerRequestId = 0;
+        this.renderRequestId = 0;
 
         this.init();
     }
 
     async init() {
-        if (this.csvUrl) {
-            try {
+        if (this.useWorker) this.createWorker();
+
+        try {
+            if (this.csvUrl) {
                 const response = await fetch(this.csvUrl);
                 if (!response.ok) throw new Error("HTTP " + response.status);
-                const text = await response.text();
-                this.parseCsv(text);
-            } catch (error) {
-                console.error("Failed to load CSV from URL:", error);
-                const container = document.getElementById(this.containerId);
-                if (container) container.innerHTML = `<p style="color:red;">${this.i18n.errorLoading}</p>`;
-                return;
+                if (response.body && typeof response.body.getReader === 'function') {
+                    await this.loadCsvStream(response);
+                } else {
+                    const buffer = await response.arrayBuffer();
+                    await this.parseCsvText(this.decodeCsvBuffer(buffer));
+                }
+            } else if (this.csvData) {
+                await this.parseCsvText(this.csvData);
             }
-        } else if (this.csvData) {
-            this.parseCsv(this.csvData);
+        } catch (error) {
+            this.loading = false;
+            console.error("Failed to load CSV data:", error);
+            const container = document.getElementById(this.containerId);
+            if (container) container.innerHTML = `<p style="color:red;">${this.i18n.errorLoading}</p>`;
+            return;
+        }
+
+        if (this.tableWrapper) {
+            this.updateProgressIndicator();
+            this.renderTable();
+        } else {
+            this.setupView();
         }
+    }
 
-        this.searchQuery = this.initialSearch;
-        this.searchAST = this.parseSearchQuery(this.searchQuery) || null;
+    setupView() {
+        this.sortStack = this.normalizeSortKeys(this.initialSort);
+        this.setSearchQuery(this.initialSearch);
 
         this.headers.forEach((h, i) => {
             // Check if column name or index is in hiddenColumns array
@@ -66,46 +200,543 @@ class Csv2Table {
         this.renderTable();
     }
 
+    /**
+     * Reads the response body as a stream and parses it chunk by chunk.
+     * The table is rendered as soon as the first data rows arrive and re-rendered once loading completes.
+     * With encoding 'auto', chunks are held back until 4 KB have arrived from the first non-ASCII byte on
+     * (or 64 KB in total, or the stream ends), because an all-ASCII start looks like UTF-8 whatever the encoding
+     * of the rest of the file and a few multibyte characters fit Shift_JIS and EUC-JP alike.
+     * @param {Response} response Fetch response with a readable body
+     */
+    async loadCsvStream(response) {
+        const reader = response.body.getReader();
+        const totalBytes = parseInt(response.headers.get('Content-Length'), 10) || null;
+        let decoder = null, parser = null, bytesRead = 0;
+        const autoEncoding = this.encoding.toLowerCase() === 'auto';
+        let held = [], heldBytes = 0, sampleBytes = 0;
+
+        this.headers = [];
+        this.data = [];
+        this.loading = true;
+
+        const onRecord = (record) => {
+            if (this.headers.length === 0) {
+                this.headers = record;
+            } else {
+                this.data.push(record);
+            }
+        };
+
+        // With delimiter 'auto', decoded text is held until it contains a whole record,
+        // so the guess does not depend on where the stream happened to be split
+        let pendingText = '', scanned = 0, inQuote = false, lineHasContent = false, recordComplete = false;
+        const scanPendingText = () => {
+            for (; scanned < pendingText.length && !recordComplete; scanned++) {
+                const char = pendingText[scanned];
+                if (char === '"') inQuote = !inQuote;
+                if (!inQuote && (char === '\n' || char === '\r')) {
+                    recordComplete = lineHasContent;
+                    lineHasContent = false;
+                } else if (char.trim() !== '') {
+                    lineHasContent = true;
+                }
+            }
+        };
+
+        const feed = async (text, final = false) => {
+            if (!parser) {
+                pendingText += text;
+                if (this.delimiter === 'auto' && !final) {
+                    scanPendingText();
+                    if (!recordComplete) return;
+                }
+                if (!pendingText) return;
+                text = pendingText;
+                pendingText = '';
+                this.detectedDelimiter = this.delimiter === 'auto' ? this.detectDelimiter(text) : this.delimiter;
+                parser = this.worker ? this.createWorkerCsvParser(onRecord) : this.createCsvParser(onRecord);
+            }
+            await parser.write(text);
+        };
+
+        // Chooses the encoding from the held chunks and returns them as one buffer
+        const startDecoder = () => {
+            const bytes = new Uint8Array(heldBytes);
+            let offset = 0;
+            held.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.byteLength;
+            });
+            held = [];
+            const encoding = autoEncoding ? this.detectEncoding(bytes) : this.encoding.toLowerCase();
+            this.detectedEncoding = encoding;
+            decoder = new TextDecoder(encoding);
+            return bytes;
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            bytesRead += value.byteLength;
+            let bytes = value;
+            if (!decoder) {
+                held.push(value);
+                heldBytes += value.byteLength;
+                if (sampleBytes > 0) {
+                    sampleBytes += value.byteLength;
+                } else {
+                    const firstNonAscii = value.findIndex(byte => byte >= 0x80);
+                    if (firstNonAscii !== -1) sampleBytes = value.byteLength - firstNonAscii;
+                }
+                if (autoEncoding && heldBytes < 65536 && sampleBytes < 4096) {
+                    this.reportProgress(bytesRead, totalBytes);
+                    continue;
+                }
+                bytes = startDecoder();
+            }
+            await feed(decoder.decode(bytes, { stream: true }));
+
+            this.reportProgress(bytesRead, totalBytes);
+            if (!this.tableWrapper && this.data.length > 0) this.setupView();
+        }
+
+        // A short file, or one that is ASCII throughout, never reached the detection above
+        if (!decoder && held.length > 0) {
+            const bytes = startDecoder();
+            await feed(decoder.decode(bytes, { stream: true }));
+        }
+        if (decoder) await feed(decoder.decode(), true);
+        if (parser) await parser.end();
+
+        this.loading = false;
+        this.reportProgress(bytesRead, totalBytes);
+    }
+
+    reportProgress(bytesRead, totalBytes) {
+        this.progress = { bytesRead, totalBytes, rowsParsed: this.data.length, done: !this.loading };
+        this.updateProgressIndicator();
+        if (typeof this.onProgress === 'function') {
+            this.onProgress(this.progress);
+        }
+    }
+
+    updateProgressIndicator() {
+        if (!this.progressElement) return;
+        if (!this.loading || !this.progress) {
+            this.progressElement.style.display = 'none';
+            return;
+        }
+
+        this.progressElement.style.display = '';
+        const bar = this.progressElement.querySelector('progress');
+        if (this.progress.totalBytes) {
+            bar.max = this.progress.totalBytes;
+            bar.value = Math.min(this.progress.bytesRead, this.progress.totalBytes);
+        } else {
+            bar.removeAttribute('value');
+        }
+        this.progressElement.querySelector('.csv2table-progress-label').textContent =
+            this.i18n.loadingRows.replace('{rows}', this.progress.rowsParsed.toLocaleString());
+    }
+
+    /**
+     * Decodes fetched bytes according to the encoding option.
+     * @param {ArrayBuffer} buffer Raw bytes
+     * @returns {string} Decoded text without BOM
+     */
+    decodeCsvBuffer(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const encoding = this.encoding.toLowerCase() === 'auto' ? this.detectEncoding(bytes) : this.encoding.toLowerCase();
+        this.detectedEncoding = encoding;
+        return new TextDecoder(encoding).decode(bytes);
+    }
+
+    /**
+     * Guesses the encoding of the bytes: BOM first, then strict UTF-8,
+     * then whichever of Shift_JIS and EUC-JP decodes with fewer invalid sequences.
+     * @param {Uint8Array} bytes Raw bytes
+     * @returns {string} Encoding label for TextDecoder
+     */
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+        try {
+            // stream: true tolerates a multi-byte character cut off at the end of a chunk
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return 'utf-8';
+        } catch (e) {
+            // Not valid UTF-8, fall through to the Japanese legacy encodings
+        }
+
+        const countInvalid = encoding => {
+            const text = new TextDecoder(encoding).decode(bytes);
+            let count = 0;
+            for (let i = 0; i < text.length; i++) {
+                if (text[i] === '\ufffd') count++;
+            }
+            return count;
+        };
+        return countInvalid('euc-jp') < countInvalid('shift_jis') ? 'euc-jp' : 'shift_jis';
+    }
+
+    async parseCsvText(text) {
+        if (!this.worker) {
+            this.parseCsv(text);
+            return;
+        }
+
+        const result = await this.postToWorker('parse', { text, delimiter: this.delimiter });
+        this.headers = result.headers;
+        this.data = result.data;
+        this.detectedDelimiter = result.detectedDelimiter;
+    }
+
     parseCsv(text) {
-        text = text.replace(/\r/g, '');
-        const lines = text.trim().split('\n');
-        if (lines.length === 0) return;
+        if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+        this.detectedDelimiter = this.delimiter === 'auto' ? this.detectDelimiter(text) : this.delimiter;
+        const rows = this.parseCsvRows(text);
+        if (rows.length === 0) return;
+
+        this.headers = rows[0];
+        this.data = rows.slice(1);
+    }
 
-        this.headers = this.parseCsvLine(lines[0]);
-        this.data = lines.slice(1).map(line => this.parseCsvLine(line));
+    /**
+     * Guesses the delimiter from the first lines of the text.
+     * The candidate that appears most often with the same count on every sampled line wins.
+     * @param {string} text CSV text
+     * @returns {string} One of ',', '\t', ';' or '|' (',' when nothing matches)
+     */
+    detectDelimiter(text) {
+        const candidates = [',', '\t', ';', '|'];
+        const lines = [];
+        let current = '', inQuote = false;
+        for (let i = 0; i < text.length && lines.length < 10; i++) {
+            const char = text[i];
+            if (char === '"') inQuote = !inQuote;
+            if (!inQuote && (char === '\n' || char === '\r')) {
+                if (current.trim() !== '') lines.push(current);
+                current = '';
+            } else if (!inQuote) {
+                current += char;
+            }
+        }
+        if (current.trim() !== '' && lines.length < 10) lines.push(current);
+        if (lines.length === 0) return ',';
+
+        let best = ',', bestScore = 0;
+        candidates.forEach(candidate => {
+            const counts = lines.map(line => line.split(candidate).length - 1);
+            const first = counts[0];
+            if (first === 0) return;
+            const consistent = counts.filter(count => count === first).length;
+            const score = first * consistent / counts.length;
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+        return best;
     }
 
     parseCsvLine(text) {
-        let ret = [], inQuote = false, value = '';
-        for (let i = 0; i < text.length; i++) {
-            let char = text[i];
-            if (inQuote) {
-                if (char === '"') {
-                    if (i < text.length - 1 && text[i + 1] === '"') {
+        const rows = this.parseCsvRows(text);
+        return rows.length > 0 ? rows[0] : [''];
+    }
+
+    /**
+     * Parses a whole CSV document as described in RFC 4180.
+     * @param {string} text CSV text
+     * @returns {Array<Array<string>>} Parsed records
+     * @throws {Error} On malformed input, with `line` and `column` (1-based) of the offending character
+     */
+    parseCsvRows(text) {
+        const rows = [];
+        const parser = this.createCsvParser(row => rows.push(row));
+        parser.write(text);
+        parser.end();
+        return rows;
+    }
+
+    /**
+     * Creates an incremental RFC 4180 parser that can be fed the document in arbitrary chunks.
+     * Fields are separated by the configured (or detected) delimiter.
+     * Quoted fields may contain delimiters, escaped quotes ("") and line breaks.
+     * Records may end with \r\n, \n or \r. Blank lines are skipped.
+     * @param {Function} onRecord Called with each completed record (Array<string>)
+     * @returns {{write: Function, end: Function}} write(chunk) feeds text, end() flushes the last record
+     * @throws {Error} On malformed input, with `line` and `column` (1-based) of the offending character
+     */
+    createCsvParser(onRecord) {
+        const delimiter = this.detectedDelimiter || (this.delimiter !== 'auto' ? this.delimiter : ',');
+        let row = [], value = '', inQuote = false, quoted = false, pendingQuote = false, skipLF = false;
+        let line = 1, column = 0, quoteLine = 1, quoteColumn = 1;
+
+        const fail = (message, errLine, errColumn) => {
+            const error = new Error(`CSV parse error at line ${errLine}, column ${errColumn}: ${message}`);
+            error.line = errLine;
+            error.column = errColumn;
+            throw error;
+        };
+
+        const endRecord = () => {
+            row.push(value);
+            // A record consisting of a single unquoted empty field is a blank line
+            if (!(row.length === 1 && row[0] === '' && !quoted)) onRecord(row);
+            row = [];
+            value = '';
+            quoted = false;
+        };
+
+        const write = (text) => {
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                // The \n of a \r\n pair may arrive in the next chunk
+                if (skipLF) {
+                    skipLF = false;
+                    if (char === '\n') continue;
+                }
+                column++;
+
+                // A quote inside a quoted field is either an escaped quote or the closing quote
+                if (pendingQuote) {
+                    pendingQuote = false;
+                    if (char === '"') {
                         value += '"';
-                        i++;
+                        continue;
+                    }
+                    inQuote = false;
+                }
+
+                if (inQuote) {
+                    if (char === '"') {
+                        pendingQuote = true;
+                    } else if (char === '\r' || char === '\n') {
+                        skipLF = char === '\r';
+                        value += '\n';
+                        line++;
+                        column = 0;
                     } else {
-                        inQuote = false;
+                        value += char;
                     }
-                } else {
-                    value += char;
+                    continue;
                 }
-            } else {
-                if (char === '"') {
-                    inQuote = true;
-                } else if (char === ',') {
-                    ret.push(value);
+
+                if (char === delimiter) {
+                    row.push(value);
                     value = '';
+                    quoted = false;
+                } else if (char === '\r' || char === '\n') {
+                    skipLF = char === '\r';
+                    endRecord();
+                    line++;
+                    column = 0;
+                } else if (quoted) {
+                    fail('Unexpected character after closing quote', line, column);
+                } else if (char === '"' && value === '') {
+                    inQuote = true;
+                    quoted = true;
+                    quoteLine = line;
+                    quoteColumn = column;
                 } else {
+                    // A quote in the middle of an unquoted field is kept literally
                     value += char;
                 }
             }
+        };
+
+        const end = () => {
+            if (pendingQuote) {
+                pendingQuote = false;
+                inQuote = false;
+            }
+            if (inQuote) fail('Unterminated quoted field', quoteLine, quoteColumn);
+            if (value !== '' || quoted || row.length > 0) endRecord();
+        };
+
+        return { write, end };
+    }
+
+    /**
+     * Starts the Web Worker from an inline blob containing this class.
+     * Falls back to the UI thread when workers are unavailable (e.g. blocked by CSP), whether creating
+     * the worker throws or the blob script fails to load later.
+     */
+    createWorker() {
+        const source = `const Csv2Table = ${Csv2Table.toString()};
+const engine = Object.create(Csv2Table.prototype);
+self.onmessage = (e) => {
+    const { id, type, payload } = e.data;
+    try {
+        self.postMessage({ id, result: engine.handleWorkerMessage(type, payload) });
+    } catch (error) {
+        self.postMessage({ id, error: { message: error.message, line: error.line, column: error.column } });
+    }
+};`;
+
+        try {
+            this.workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn("Web Worker unavailable, falling back to the main thread:", error);
+            this.worker = null;
+            return;
+        }
+
+        this.worker.addEventListener('message', (e) => {
+            if (this.workerUrl) {
+                URL.revokeObjectURL(this.workerUrl);
+                this.workerUrl = null;
+            }
+            const request = this.workerRequests.get(e.data.id);
+            if (!request) return;
+            this.workerRequests.delete(e.data.id);
+
+            if (e.data.error) {
+                const error = new Error(e.data.error.message);
+                if (e.data.error.line !== undefined) {
+                    error.line = e.data.error.line;
+                    error.column = e.data.error.column;
+                }
+                request.reject(error);
+            } else {
+                request.resolve(e.data.result);
+            }
+        });
+
+        this.worker.addEventListener('error', (e) => {
+            console.warn("Web Worker failed, falling back to the main thread:", e.message);
+            if (this.workerUrl) {
+                URL.revokeObjectURL(this.workerUrl);
+                this.workerUrl = null;
+            }
+            const pending = Array.from(this.workerRequests.values());
+            this.workerRequests.clear();
+            this.worker.terminate();
+            this.worker = null;
+            pending.forEach(request => {
+                try {
+                    request.resolve(this.runWorkerFallback(request.type, request.payload));
+                } catch (error) {
+                    request.reject(error);
+                }
+            });
+        });
+    }
+
+    postToWorker(type, payload) {
+        if (!this.worker) return Promise.resolve().then(() => this.runWorkerFallback(type, payload));
+        return new Promise((resolve, reject) => {
+            const id = ++this.workerRequestId;
+            this.workerRequests.set(id, { type, payload, resolve, reject });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * Handles a worker request on the UI thread after the worker has failed.
+     * Parsing runs on a DOM-less engine like the worker's, so a stream that has started keeps its parser;
+     * queries run against the rows already on the UI thread.
+     * @param {string} type 'parse', 'write', 'end' or 'query'
+     * @param {Object} payload Message payload
+     * @returns {*} The result the worker would have posted back
+     */
+    runWorkerFallback(type, payload) {
+        if (type === 'query') return this.getRowIndices();
+        if (!this.fallbackEngine) this.fallbackEngine = Object.create(Csv2Table.prototype);
+        return this.fallbackEngine.handleWorkerMessage(type, payload);
+    }
+
+    /**
+     * Returns the state the worker needs to filter and sort, without functions that cannot be cloned.
+     * @returns {Object} Structured-cloneable state
+     */
+    getWorkerState() {
+        return {
+            columns: this.columns.map(colConfig => JSON.parse(JSON.stringify(colConfig || {}))),
+            visibleColumns: this.visibleColumns,
+            searchQuery: this.searchQuery,
+            regexSearch: this.regexSearch,
+            normalize: this.normalize,
+            fuzzySearch: this.fuzzySearch,
+            fuzzyThreshold: this.fuzzyThreshold,
+            nullValues: this.nullValues,
+            i18n: this.i18n,
+            sortStack: this.sortStack,
+            columnFilters: this.columnFilters
+        };
+    }
+
+    createWorkerCsvParser(onRecord) {
+        const payload = { delimiter: this.delimiter, detectedDelimiter: this.detectedDelimiter };
+        return {
+            write: text => this.postToWorker('write', Object.assign({ text }, payload)).then(records => records.forEach(onRecord)),
+            end: () => this.postToWorker('end', payload).then(records => records.forEach(onRecord))
+        };
+    }
+
+    /**
+     * Runs inside the worker on an instance without DOM.
+     * The worker keeps its own copy of the parsed rows so queries only send back row indices.
+     * @param {string} type 'parse', 'write', 'end' or 'query'
+     * @param {Object} payload Message payload
+     * @returns {*} Result posted back to the UI thread
+     */
+    handleWorkerMessage(type, payload) {
+        if (type === 'parse') {
+            this.delimiter = payload.delimiter;
+            this.parseCsv(payload.text);
+            return { headers: this.headers, data: this.data, detectedDelimiter: this.detectedDelimiter };
+        }
+
+        if (type === 'write' || type === 'end') {
+            if (!this.streamParser) {
+                this.headers = [];
+                this.data = [];
+                this.streamRecords = [];
+                this.delimiter = payload.delimiter;
+                this.detectedDelimiter = payload.detectedDelimiter;
+                this.streamParser = this.createCsvParser(record => {
+                    if (this.headers.length === 0) {
+                        this.headers = record;
+                    } else {
+                        this.data.push(record);
+                    }
+                    this.streamRecords.push(record);
+                });
+            }
+            if (type === 'write') {
+                this.streamParser.write(payload.text);
+            } else {
+                this.streamParser.end();
+            }
+            const records = this.streamRecords;
+            this.streamRecords = [];
+            return records;
+        }
+
+        if (type === 'query') {
+            Object.assign(this, payload);
+            this.searchAST = this.parseSearchQuery(this.searchQuery);
+            return this.getRowIndices();
         }
-        ret.push(value);
-        return ret;
+
+        throw new Error("Unknown worker message: " + type);
     }
 
-    parseDateString(dateStr, format) {
+    /**
+     * Parses a date string with a format such as 'YYYY/MM/DD HH:mm'. Falls back to Date parsing when there is
+     * no format or the string does not fit it, unless strict is set.
+     * @param {string} dateStr Date string
+     * @param {string} [format] Format of dateStr
+     * @param {boolean} [strict=false] Return NaN instead of falling back when the string does not fit the format
+     * @returns {number} Timestamp, or NaN
+     */
+    parseDateString(dateStr, format, strict = false) {
         if (!dateStr || dateStr.trim() === '-' || dateStr.trim() === '') return NaN;
         if (!format) {
             const d = new Date(dateStr).getTime();
@@ -114,22 +745,31 @@ class Csv2Table {
 
         const escapedFormat = format.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-        let patternStr = escapedFormat
-            .replace('YYYY', '(?<YYYY>\\d{4})')
-            .replace('YY', '(?<YY>\\d{2})')
-            .replace('Mmm', '(?<Mmm>[^\\d\\s\\/\\-.,]+)')
-            .replace('MM', '(?<MM>\\d{2})')
-            .replace('M', '(?<M>\\d{1,2})')
-            .replace('DD', '(?<DD>\\d{2})')
-            .replace('D', '(?<D>\\d{1,2})')
-            .replace('HH', '(?<HH>\\d{2})')
-            .replace('H', '(?<H>\\d{1,2})')
-            .replace('mm', '(?<mm>\\d{2})')
-            .replace('m', '(?<m>\\d{1,2})')
-            .replace('ss', '(?<ss>\\d{2})')
-            .replace('s', '(?<s>\\d{1,2})')
-            .replace('Www', '(?<Www>[^\\d\\s\\/\\-.,]+)')
-            .replace('Z', '(?<Z>Z|[+-]\\d{2}:?\\d{2}|[+-]\\d{4})');
+        const tokenPatterns = {
+            YYYY: '(?<YYYY>\\d{4})',
+            YY: '(?<YY>\\d{2})',
+            Mmm: '(?<Mmm>[^\\d\\s\\/\\-.,]+)',
+            MM: '(?<MM>\\d{2})',
+            M: '(?<M>\\d{1,2})',
+            DD: '(?<DD>\\d{2})',
+            D: '(?<D>\\d{1,2})',
+            HH: '(?<HH>\\d{2})',
+            H: '(?<H>\\d{1,2})',
+            mm: '(?<mm>\\d{2})',
+            m: '(?<m>\\d{1,2})',
+            ss: '(?<ss>\\d{2})',
+            s: '(?<s>\\d{1,2})',
+            Www: '(?<Www>[^\\d\\s\\/\\-.,]+)',
+            Z: '(?<Z>Z|[+-]\\d{2}:?\\d{2}|[+-]\\d{4})'
+        };
+        // One pass, so the group names inserted for one token (e.g. <YYYY>) are not matched by the next (YY).
+        // Only the first occurrence of a token becomes a group; named groups must be unique
+        const usedTokens = new Set();
+        const patternStr = escapedFormat.replace(/YYYY|YY|Mmm|MM|M|DD|D|HH|H|mm|m|ss|s|Www|Z/g, token => {
+            if (usedTokens.has(token)) return token;
+            usedTokens.add(token);
+            return tokenPatterns[token];
+        });
 
         try {
             const regex = new RegExp(`^${patternStr}$`);
@@ -183,103 +823,367 @@ class Csv2Table {
             console.error("Date parse error", e);
         }
 
+        if (strict) return NaN;
         const fallback = new Date(dateStr).getTime();
         return isNaN(fallback) ? NaN : fallback;
     }
 
+    /**
+     * Resolves a relative date expression to the span of time it covers, in local time.
+     * Bases: now, today, yesterday, tomorrow and this/last/next + week (from Monday), month, quarter or year,
+     * optionally followed by offsets in h, d, w, m (months), q or y, e.g. today-30d or thisMonth-1y.
+     * @param {string} value Search value
+     * @param {Date} [now=new Date()] Reference time
+     * @returns {{from: number, to: number}|null} Start (inclusive) and end (exclusive) timestamps, or null when value is not relative
+     */
+    resolveRelativeDate(value, now = new Date()) {
+        const match = String(value).trim().match(/^(now|today|yesterday|tomorrow|(this|last|next)(week|month|quarter|year))((?:[+-]\d+[hdwmqy])*)$/i);
+        if (!match) return null;
+
+        const add = (date, amount, unit) => {
+            const result = new Date(date.getTime());
+            if (unit === 'ms') result.setTime(result.getTime() + amount);
+            if (unit === 'h') result.setTime(result.getTime() + amount * 3600000);
+            if (unit === 'd' || unit === 'w') result.setDate(result.getDate() + amount * (unit === 'w' ? 7 : 1));
+            if (unit === 'm' || unit === 'q' || unit === 'y') {
+                // Keep the day of month where possible: Mar 31 - 1m is the last day of February
+                const day = result.getDate();
+                result.setDate(1);
+                result.setMonth(result.getMonth() + amount * (unit === 'y' ? 12 : (unit === 'q' ? 3 : 1)));
+                const daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+                result.setDate(Math.min(day, daysInMonth));
+            }
+            return result;
+        };
+
+        const base = match[1].toLowerCase();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        let from, unit;
+        if (base === 'now') {
+            from = new Date(now.getTime());
+            unit = 'ms';
+        } else if (!match[2]) {
+            from = add(today, { today: 0, yesterday: -1, tomorrow: 1 }[base], 'd');
+            unit = 'd';
+        } else {
+            const shift = { this: 0, last: -1, next: 1 }[match[2].toLowerCase()];
+            const period = match[3].toLowerCase();
+            if (period === 'week') {
+                from = add(today, -((today.getDay() + 6) % 7), 'd');
+                unit = 'w';
+            } else if (period === 'month') {
+                from = new Date(today.getFullYear(), today.getMonth(), 1);
+                unit = 'm';
+            } else if (period === 'quarter') {
+                from = new Date(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 1);
+                unit = 'q';
+            } else {
+                from = new Date(today.getFullYear(), 0, 1);
+                unit = 'y';
+            }
+            from = add(from, shift, unit);
+        }
+        let to = add(from, 1, unit);
+
+        (match[4].match(/[+-]\d+[hdwmqy]/gi) || []).forEach(offset => {
+            const amount = parseInt(offset.slice(0, -1), 10);
+            const offsetUnit = offset.slice(-1).toLowerCase();
+            from = add(from, amount, offsetUnit);
+            to = add(to, amount, offsetUnit);
+        });
+        return { from: from.getTime(), to: to.getTime() };
+    }
+
+    /**
+     * Returns an i18n message with its {placeholders} filled in.
+     * @param {string} key i18n key
+     * @param {Object} [params={}] Values by placeholder name, e.g. {column: 'Age'}
+     * @returns {string} Message
+     */
+    formatMessage(key, params = {}) {
+        return Object.keys(params).reduce((text, name) => text.split(`{${name}}`).join(params[name]), this.i18n[key]);
+    }
+
     parseSearchQuery(query) {
-        if (!query || !query.trim()) return null;
+        return this.analyzeSearchQuery(query).ast;
+    }
+
+    /**
+     * Parses a search query and reports the problems found along the way.
+     * Problems never throw: the parser recovers and evaluates what it could understand.
+     * @param {string} query Search query
+     * @returns {{ast: Object|null, diagnostics: Array<{start: number, end: number, message: string, severity: string}>}}
+     *   start and end are character offsets into the query; severity is 'error' or 'warning'
+     */
+    analyzeSearchQuery(query) {
+        const diagnostics = [];
+        if (!query || !query.trim()) return { ast: null, diagnostics };
+
+        const addDiagnostic = (start, end, message, severity) => {
+            diagnostics.push({ start, end, message, severity });
+        };
+        const message = (key, params) => this.formatMessage(key, params);
 
         const tokens = [];
         let i = 0;
-        while (i < query.length) {
+        let start = 0;
+
+        const readToken = () => {
             let char = query[i];
-            if (/\s/.test(char)) {
-                i++;
-                continue;
-            }
             if (char === '(') {
                 tokens.push({ type: 'LPAREN' });
                 i++;
-                continue;
+                return;
             }
             if (char === ')') {
                 tokens.push({ type: 'RPAREN' });
                 i++;
-                continue;
+                return;
             }
 
-            let match = query.slice(i).match(/^(AND\b|OR\b)/i);
+            let match = query.slice(i).match(/^(AND\b|OR\b|NOT\b)/i);
             if (match) {
                 tokens.push({ type: match[1].toUpperCase() });
                 i += match[0].length;
-                continue;
+                return;
+            }
+
+            // -term is NOT term, but -5 stays a negative number
+            if (char === '-' && i + 1 < query.length && !/[\s\d.]/.test(query[i + 1])) {
+                tokens.push({ type: 'NOT' });
+                i++;
+                return;
             }
 
-            let isColMatch = query.slice(i).match(/^([^:()<>=!\s]+):/);
+            // has:Col and missing:Col, unless there is a column with that name
+            const presence = query.slice(i).match(/^(has|missing):/i);
+            if (presence && !(this.headers.length > 0 && this.findColumnIndex(presence[1]) !== -1)) {
+                i += presence[0].length;
+                const nameMatch = query.slice(i).match(/^"([^"]+)"/) || query.slice(i).match(/^\[([^\]]+)\]/) || query.slice(i).match(/^([^()\s"]+)/);
+                if (!nameMatch) {
+                    addDiagnostic(start, i, message('searchMissingColumn', { prefix: presence[0] }), 'warning');
+                    return;
+                }
+                i += nameMatch[0].length;
+                if (this.headers.length > 0 && this.findColumnIndex(nameMatch[1]) === -1) {
+                    addDiagnostic(start, i, message('searchColumnNotFound', { column: nameMatch[1] }), 'error');
+                }
+                if (presence[1].toLowerCase() === 'has') tokens.push({ type: 'NOT' });
+                tokens.push({ type: 'EMPTY', column: nameMatch[1] });
+                return;
+            }
+
+            // Col:, "Column Name": or [Column Name]:
+            let isColMatch = query.slice(i).match(/^"([^"]+)":/) || query.slice(i).match(/^\[([^\]]+)\]:/) || query.slice(i).match(/^([^:()<>=!\s"]+):/);
             let column = null;
             if (isColMatch) {
                 column = isColMatch[1];
                 i += isColMatch[0].length;
+
+                if (this.headers.length > 0 && this.findColumnIndex(column) === -1) {
+                    addDiagnostic(start, i - 1, message('searchColumnNotFound', { column }), 'error');
+                }
+
+                // Col:!value is NOT Col:value
+                if (query[i] === '!' && query[i + 1] !== '=') {
+                    tokens.push({ type: 'NOT' });
+                    i++;
+                }
+            }
+
+            // Col:(a,b,c) expands to (Col:=a OR Col:=b OR Col:=c)
+            if (column && query[i] === '(') {
+                i++;
+                const items = [];
+                let item = '', inItemQuote = false;
+                while (i < query.length && (inItemQuote || query[i] !== ')')) {
+                    if (query[i] === '"') {
+                        inItemQuote = !inItemQuote;
+                    } else if (query[i] === ',' && !inItemQuote) {
+                        items.push(item.trim());
+                        item = '';
+                    } else {
+                        item += query[i];
+                    }
+                    i++;
+                }
+                if (i < query.length) {
+                    i++; // skip closing paren
+                } else {
+                    addDiagnostic(start, i, message('searchMissingParenthesis'), 'warning');
+                }
+                items.push(item.trim());
+
+                const values = items.filter(value => value !== '');
+                if (values.length === 0) {
+                    addDiagnostic(start, i, message('searchEmptyValueList'), 'warning');
+                    return;
+                }
+
+                tokens.push({ type: 'LPAREN' });
+                values.forEach((value, index) => {
+                    if (index > 0) tokens.push({ type: 'OR' });
+                    tokens.push({ type: 'INEQUALITY', column, operator: '=', value: value.toLowerCase() });
+                });
+                tokens.push({ type: 'RPAREN' });
+                return;
+            }
+
+            // ~term matches approximately
+            let fuzzy = false;
+            if (query[i] === '~') {
+                fuzzy = true;
+                i++;
             }
 
-            let operatorMatch = query.slice(i).match(/^(>=|<=|>|<)/);
+            let operatorMatch = query.slice(i).match(/^(>=|<=|!=|>|<|=)/);
             let operator = null;
             if (operatorMatch) {
+                if (fuzzy) addDiagnostic(start, i, message('searchFuzzyOperator'), 'warning');
                 operator = operatorMatch[1];
                 i += operatorMatch[0].length;
             }
 
             let value = "";
-            if (query[i] === '"') {
+            if (this.regexSearch && query[i] === '/') {
+                // /pattern/flags, where \/ escapes a slash inside the pattern
+                let end = i + 1;
+                while (end < query.length && query[end] !== '/') {
+                    if (query[end] === '\\') end++;
+                    end++;
+                }
+                if (end < query.length) {
+                    const source = query.slice(i + 1, end);
+                    const flags = query.slice(end + 1).match(/^[a-z]*/)[0];
+                    i = end + 1 + flags.length;
+                    const compiled = this.compileSearchRegex(source, flags);
+                    if (compiled.error) addDiagnostic(start, i, compiled.error, 'error');
+                    tokens.push({ type: 'TERM', column, value: source, flags, regex: compiled.regex, error: compiled.error });
+                    return;
+                }
+            }
+
+            const quoted = query[i] === '"';
+            if (quoted) {
                 i++;
                 while (i < query.length && query[i] !== '"') {
                     value += query[i];
                     i++;
                 }
-                if (i < query.length) i++; // skip closing quote
+                if (i < query.length) {
+                    i++; // skip closing quote
+                } else {
+                    addDiagnostic(start, i, message('searchMissingQuote'), 'warning');
+                }
             } else {
                 while (i < query.length && !/\s|\(|\)/.test(query[i])) {
                     value += query[i];
                     i++;
                 }
             }
+            // Col:a..b expands to (Col:>=a AND Col:<=b); either end may be omitted
+            const rangeMatch = column && !operator ? value.match(/^(.*?)\.\.(.*)$/) : null;
+            if (rangeMatch && (rangeMatch[1] || rangeMatch[2])) {
+                tokens.push({ type: 'LPAREN' });
+                if (rangeMatch[1]) {
+                    tokens.push({ type: 'INEQUALITY', column, operator: '>=', value: rangeMatch[1].toLowerCase() });
+                }
+                if (rangeMatch[1] && rangeMatch[2]) tokens.push({ type: 'AND' });
+                if (rangeMatch[2]) {
+                    tokens.push({ type: 'INEQUALITY', column, operator: '<=', value: rangeMatch[2].toLowerCase() });
+                }
+                tokens.push({ type: 'RPAREN' });
+                return;
+            }
+
+            if (column && !value) {
+                addDiagnostic(start, i, message('searchMissingValue', { column }), 'warning');
+            }
+
+            // Col:empty matches null markers; Col:"empty" searches for the word
+            if (column && !operator && !fuzzy && !quoted && value.toLowerCase() === 'empty') {
+                tokens.push({ type: 'EMPTY', column });
+                return;
+            }
+
             if (value || column) {
                 if (operator) {
                     tokens.push({ type: 'INEQUALITY', column, operator, value: value.toLowerCase() });
+                } else if (fuzzy) {
+                    tokens.push({ type: 'TERM', column, value: value.toLowerCase(), fuzzy: true });
                 } else {
                     tokens.push({ type: 'TERM', column, value: value.toLowerCase() });
                 }
             }
+        };
+
+        while (i < query.length) {
+            if (/\s/.test(query[i])) {
+                i++;
+                continue;
+            }
+            start = i;
+            const first = tokens.length;
+            readToken();
+            // Every token records the span of the query text it came from
+            tokens.slice(first).forEach(token => {
+                token.start = start;
+                token.end = i;
+            });
         }
 
+        if (tokens.length === 0) return { ast: null, diagnostics };
+
         let pos = 0;
 
+        const describe = token => token.type === 'LPAREN' ? '(' : token.type;
+
+        // Precedence from loosest to tightest: OR, AND (explicit or implicit), NOT
         function parseTerm() {
-            if (pos >= tokens.length) return null;
+            if (pos >= tokens.length) {
+                const last = tokens[tokens.length - 1];
+                addDiagnostic(last.start, last.end, message('searchMissingTerm', { token: describe(last) }), 'warning');
+                return null;
+            }
             let token = tokens[pos];
             if (token.type === 'LPAREN') {
                 pos++;
                 let node = parseOr();
                 if (pos < tokens.length && tokens[pos].type === 'RPAREN') {
+                    if (!node) addDiagnostic(token.start, tokens[pos].end, message('searchEmptyParentheses'), 'warning');
                     pos++;
+                } else {
+                    addDiagnostic(token.start, token.end, message('searchMissingParenthesis'), 'error');
                 }
                 return node;
-            } else if (token.type === 'TERM' || token.type === 'INEQUALITY') {
+            } else if (token.type === 'TERM' || token.type === 'INEQUALITY' || token.type === 'EMPTY') {
                 pos++;
                 return token;
+            } else if (token.type === 'RPAREN') {
+                // Left for the enclosing group (or reported as unmatched at the top level)
+                return null;
             }
+            addDiagnostic(token.start, token.end, message('searchUnexpectedToken', { token: token.type }), 'warning');
             pos++;
             return null;
         }
 
+        function parseNot() {
+            if (pos < tokens.length && tokens[pos].type === 'NOT') {
+                pos++;
+                let operand = parseNot();
+                return operand ? { type: 'NOT', operand: operand } : null;
+            }
+            return parseTerm();
+        }
+
         function parseAnd() {
-            let node = parseTerm();
-            while (pos < tokens.length && (tokens[pos].type === 'AND' || tokens[pos].type === 'TERM' || tokens[pos].type === 'INEQUALITY' || tokens[pos].type === 'LPAREN')) {
+            let node = parseNot();
+            while (pos < tokens.length && (tokens[pos].type === 'AND' || tokens[pos].type === 'NOT' || tokens[pos].type === 'TERM' || tokens[pos].type === 'INEQUALITY' || tokens[pos].type === 'EMPTY' || tokens[pos].type === 'LPAREN')) {
                 if (tokens[pos].type === 'AND') {
                     pos++;
                 }
-                let right = parseTerm();
+                let right = parseNot();
                 if (node && right) {
                     node = { type: 'AND', left: node, right: right };
                 } else if (right) {
@@ -303,7 +1207,289 @@ class Csv2Table {
             return node;
         }
 
-        return parseOr();
+        let ast = parseOr();
+        // parseOr only stops early at an unmatched ), so keep going after it
+        while (pos < tokens.length) {
+            addDiagnostic(tokens[pos].start, tokens[pos].end, message('searchUnmatchedParenthesis'), 'error');
+            pos++;
+            if (pos === tokens.length) break;
+            const right = parseOr();
+            ast = ast && right ? { type: 'AND', left: ast, right: right } : (ast || right);
+        }
+
+        return { ast, diagnostics };
+    }
+
+    /**
+     * Finds a column by header name or by one of its configured aliases, ignoring case.
+     * @param {string} name Header name or alias
+     * @returns {number} Column index, or -1 when there is no such column
+     */
+    findColumnIndex(name) {
+        const target = String(name).trim().toLowerCase();
+        const index = this.headers.findIndex(h => h.trim().toLowerCase() === target);
+        if (index !== -1) return index;
+
+        return this.headers.findIndex((h, i) => {
+            const alias = (this.columns[i] || {}).alias;
+            const aliases = Array.isArray(alias) ? alias : (alias ? [alias] : []);
+            return aliases.some(a => String(a).toLowerCase() === target);
+        });
+    }
+
+    /**
+     * Compiles a regex literal from the search box without throwing.
+     * Groups repeated with +, * or {} must not contain a quantifier, as in (a+)+, or an alternation, as in (a|aa)+.
+     * Either lets backtracking grow exponentially with the cell length, and the pattern runs on every keystroke.
+     * @param {string} source Pattern between the slashes
+     * @param {string} flags Flags after the closing slash; g and y are ignored
+     * @returns {{regex: RegExp|null, error: string|null}} Compiled regex or the reason it was rejected
+     */
+    compileSearchRegex(source, flags) {
+        if (source.length > 256) {
+            return { regex: null, error: this.i18n.searchRegexTooLong };
+        }
+        const groups = [];
+        let inClass = false;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (char === '\\') {
+                i++;
+            } else if (inClass) {
+                inClass = char !== ']';
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === '(') {
+                groups.push({ quantified: false, alternation: false });
+            } else if (char === ')') {
+                const group = groups.pop();
+                if (!group) continue;
+                if ('+*{'.includes(source[i + 1])) {
+                    if (group.quantified) return { regex: null, error: this.i18n.searchRegexNestedQuantifier };
+                    if (group.alternation) return { regex: null, error: this.i18n.searchRegexRepeatedAlternation };
+                }
+                // What an inner group contains counts for the enclosing group as well
+                const parent = groups[groups.length - 1];
+                if (parent) {
+                    parent.quantified = parent.quantified || group.quantified;
+                    parent.alternation = parent.alternation || group.alternation;
+                }
+            } else if (groups.length > 0) {
+                const group = groups[groups.length - 1];
+                if ('+*{'.includes(char)) group.quantified = true;
+                if (char === '|') group.alternation = true;
+            }
+        }
+        try {
+            return { regex: new RegExp(source, flags.replace(/[gy]/g, '')), error: null };
+        } catch (e) {
+            return { regex: null, error: e.message };
+        }
+    }
+
+    /**
+     * Builds the case-insensitive regex a plain TERM matches with.
+     * Only a leading ^ and a trailing $ keep their regex meaning, everything else is literal.
+     * @param {Object} ast TERM node
+     * @param {string} [extraFlags=''] Additional flags, e.g. 'g' for highlighting
+     * @returns {RegExp} Regex
+     */
+    getTermRegex(ast, extraFlags = '') {
+        if (ast.regex) return new RegExp(ast.regex.source, ast.regex.flags + extraFlags);
+
+        let searchVal = ast.value;
+        let isStartsWith = false;
+        let isEndsWith = false;
+
+        if (searchVal.startsWith('^')) {
+            isStartsWith = true;
+            searchVal = searchVal.substring(1);
+        }
+        if (searchVal.endsWith('$')) {
+            isEndsWith = true;
+            searchVal = searchVal.substring(0, searchVal.length - 1);
+        }
+
+        let finalRegexStr = searchVal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (isStartsWith) finalRegexStr = '^' + finalRegexStr;
+        if (isEndsWith) finalRegexStr = finalRegexStr + '$';
+
+        return new RegExp(finalRegexStr, 'i' + extraFlags);
+    }
+
+    /**
+     * Whether search terms are matched against the normalized text of a column.
+     * @param {number} column Column index
+     * @returns {boolean}
+     */
+    isColumnNormalized(column) {
+        return !!this.normalize && (this.columns[column] || {}).normalize !== false;
+    }
+
+    /**
+     * Folds text so that visually equivalent spellings compare equal: NFKC, full-width to half-width,
+     * hiragana to katakana and accented letters to their base letter, followed by lowercasing.
+     * @param {string} text Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalizeSearchText(text) {
+        const steps = this.normalize || {};
+        text = String(text);
+        if (steps.nfkc) {
+            text = text.normalize('NFKC');
+        } else if (steps.width) {
+            // Full-width ASCII and the ideographic space, plus half-width katakana
+            text = text.replace(/[\uff01-\uff5e]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xfee0))
+                .replace(/\u3000/g, ' ')
+                .replace(/[\uff61-\uff9f]+/g, s => s.normalize('NFKC'));
+        }
+        if (steps.kana) {
+            text = text.replace(/[\u3041-\u3096\u309d\u309e]/g, c => String.fromCharCode(c.charCodeAt(0) + 0x60));
+        }
+        if (steps.diacritics) {
+            // Strip Latin combining marks only; the kana voicing marks recompose with NFC
+            text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+        }
+        return text.toLowerCase();
+    }
+
+    /**
+     * Normalizes text one character (with its combining marks) at a time, keeping track of where
+     * each normalized character came from so matches can be mapped back for highlighting.
+     * @param {string} text Text to normalize
+     * @returns {{text: string, offsets: Array<number>}} offsets[i] is the original index of normalized character i;
+     *   offsets[text.length] is the original length
+     */
+    normalizeWithOffsets(text) {
+        let normalized = '';
+        const offsets = [];
+        const clusters = /[\s\S][\u0300-\u036f\u3099\u309a\uff9e\uff9f]*/g;
+        let match;
+        while ((match = clusters.exec(text)) !== null) {
+            const part = this.normalizeSearchText(match[0]);
+            for (let i = 0; i < part.length; i++) offsets.push(match.index);
+            normalized += part;
+        }
+        offsets.push(text.length);
+        return { text: normalized, offsets };
+    }
+
+    /**
+     * Whether a cell holds one of the null markers, ignoring case and surrounding spaces.
+     * @param {string} value Cell value
+     * @param {number} column Column index
+     * @returns {boolean}
+     */
+    isNullValue(value, column) {
+        const markers = (this.columns[column] || {}).nullValues || this.nullValues;
+        const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+        return markers.some(marker => String(marker).trim().toLowerCase() === text);
+    }
+
+    /**
+     * Returns the text a cell is shown with: numbers with toString and unit, dates with toString, null markers as they are.
+     * @param {string} cell Cell value
+     * @param {number} column Column index
+     * @returns {string} Displayed text
+     */
+    getCellDisplayText(cell, column) {
+        const colConfig = this.columns[column] || {};
+        const cellValue = String(cell || '');
+        if (this.isNullValue(cellValue, column)) return cellValue;
+        if (colConfig.type === 'number') return this.formatNumberCell(cellValue, colConfig);
+        if (colConfig.type === 'date' && typeof colConfig.toString === 'string') {
+            return this.formatDate(cellValue, colConfig.format, colConfig.toString, colConfig.locale);
+        }
+        return cellValue;
+    }
+
+    /**
+     * Returns the texts a search term is matched against, following the column's searchOn setting.
+     * @param {string} cell Cell value
+     * @param {number} column Column index
+     * @returns {Array<string>} Displayed text, CSV value or both
+     */
+    getSearchCellTexts(cell, column) {
+        const colConfig = this.columns[column] || {};
+        const raw = String(cell || '');
+        // Images have no displayed text, so only their source can be searched
+        if (colConfig.searchOn === 'raw' || colConfig.type === 'image') return [raw];
+        const display = this.getCellDisplayText(raw, column);
+        if (colConfig.searchOn === 'display' || display === raw) return [display];
+        return [display, raw];
+    }
+
+    /**
+     * Approximate substring matching: the fewest insertions, deletions, substitutions or swaps of
+     * neighbouring characters that turn the term into some part of the text.
+     * @param {string} term Search term
+     * @param {string} text Text to search
+     * @returns {number} Similarity from 0 to 1, where 1 means the term occurs exactly
+     */
+    fuzzySimilarity(term, text) {
+        if (!term || text.includes(term)) return 1;
+
+        // The epsilon keeps e.g. 5 * (1 - 0.8) = 0.9999999999999998 from flooring to 0
+        const maxDistance = Math.floor(term.length * (1 - this.fuzzyThreshold) + 1e-9);
+        // The match may start anywhere in the text, so the first row costs nothing
+        let before = null;
+        let previous = new Array(text.length + 1).fill(0);
+        for (let i = 1; i <= term.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= text.length; j++) {
+                const cost = term[i - 1] === text[j - 1] ? 0 : 1;
+                let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (before && j > 1 && term[i - 1] === text[j - 2] && term[i - 2] === text[j - 1]) {
+                    distance = Math.min(distance, before[j - 2] + 1);
+                }
+                current.push(distance);
+                if (distance < rowMin) rowMin = distance;
+            }
+            if (rowMin > maxDistance) return 0;
+            before = previous;
+            previous = current;
+        }
+        return 1 - Math.min(...previous) / term.length;
+    }
+
+    /**
+     * Best similarity of a fuzzy TERM to the cells of its column, or of any visible column.
+     * @param {Object} ast TERM node
+     * @param {Array<string>} row Row values
+     * @returns {number} Similarity from 0 to 1
+     */
+    getFuzzySimilarity(ast, row) {
+        // Anchors have no meaning for approximate matches
+        const value = ast.value.replace(/^\^/, '').replace(/\$$/, '');
+        const column = ast.column ? this.findColumnIndex(ast.column) : -1;
+        let best = 0;
+        row.forEach((cell, i) => {
+            if (column !== -1 ? i !== column : !this.visibleColumns.has(i)) return;
+            this.getSearchCellTexts(cell, i).forEach(cellVal => {
+                const similarity = this.isColumnNormalized(i) ?
+                    this.fuzzySimilarity(this.normalizeSearchText(value), this.normalizeSearchText(cellVal)) :
+                    this.fuzzySimilarity(value, cellVal.toLowerCase());
+                best = Math.max(best, similarity);
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Collects the fuzzy terms that count towards a row's match quality, skipping negated terms.
+     * @param {Object} ast Search AST
+     * @returns {Array<Object>} TERM nodes
+     */
+    collectFuzzyTerms(ast, terms = []) {
+        if (!ast) return terms;
+        if (ast.type === 'AND' || ast.type === 'OR') {
+            this.collectFuzzyTerms(ast.left, terms);
+            this.collectFuzzyTerms(ast.right, terms);
+        } else if (ast.type === 'TERM' && (ast.fuzzy || this.fuzzySearch) && !ast.regex && !ast.error) {
+            if (!ast.column || this.findColumnIndex(ast.column) !== -1) terms.push(ast);
+        }
+        return terms;
     }
 
     evaluateSearchAST(ast, row) {
@@ -314,37 +1500,106 @@ class Csv2Table {
         if (ast.type === 'AND') {
             return this.evaluateSearchAST(ast.left, row) && this.evaluateSearchAST(ast.right, row);
         }
+        if (ast.type === 'NOT') {
+            return !this.evaluateSearchAST(ast.operand, row);
+        }
+        if (ast.type === 'EMPTY') {
+            const column = this.findColumnIndex(ast.column);
+            return column !== -1 && this.isNullValue(row[column], column);
+        }
         if (ast.type === 'INEQUALITY') {
+            // Col:!=x means no compared cell equals x, not that some cell differs
+            if (ast.operator === '!=') {
+                return !this.evaluateSearchAST(Object.assign({}, ast, { operator: '=' }), row);
+            }
+
             let targetColIndex = -1;
             if (ast.column) {
-                targetColIndex = this.headers.findIndex(h => h.toLowerCase() === ast.column.toLowerCase());
+                targetColIndex = this.findColumnIndex(ast.column);
+                if (targetColIndex === -1) return false; // Column not found
             }
 
-            const searchValNum = parseFloat(ast.value);
-
-            let searchValDate = NaN;
-            if (/^\d{4}$/.test(ast.value)) {
-                searchValDate = new Date(parseInt(ast.value, 10), 0, 1).getTime();
-            } else {
-                searchValDate = !isNaN(Date.parse(ast.value)) ? new Date(ast.value).getTime() : NaN;
-            }
+            const parseTarget = (value) => {
+                let date = NaN, day = null;
+                // A plain date is local midnight, like the cells parsed with a format; Date.parse would read it as UTC
+                const plainDate = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+                if (/^\d{4}$/.test(value)) {
+                    date = new Date(parseInt(value, 10), 0, 1).getTime();
+                } else if (plainDate) {
+                    const [year, month, dayOfMonth] = plainDate.slice(1).map(part => parseInt(part, 10));
+                    date = new Date(year, month - 1, dayOfMonth).getTime();
+                    day = { from: date, to: new Date(year, month - 1, dayOfMonth + 1).getTime() };
+                } else {
+                    date = !isNaN(Date.parse(value)) ? new Date(value).getTime() : NaN;
+                }
+                return { value, num: parseFloat(value), date, day, range: this.resolveRelativeDate(value) };
+            };
+            const rawTarget = parseTarget(ast.value);
+            const normalizedTarget = this.normalize ? parseTarget(this.normalizeSearchText(ast.value)) : rawTarget;
 
             const evaluateCell = (cellValStr, colIndex) => {
                 const colConfig = this.columns[colIndex] || {};
                 const type = colConfig.type || 'string';
+                // Numbers and strings compare in normalized form (full-width digits, kana, accents); dates as they are
+                const normalized = this.isColumnNormalized(colIndex);
+                const target = normalized ? normalizedTarget : rawTarget;
+                const cellText = normalized ? this.normalizeSearchText(cellValStr) : cellValStr.toLowerCase();
+                const searchValNum = target.num;
+                const searchValDate = target.date;
 
                 let sVal, cVal;
 
+                // Relative dates cover a span: = matches inside it, > and <= compare with its end, >= and < with its start.
+                // Only date columns read them; elsewhere "today" is just text.
+                // A plain date the column's format cannot read covers its whole day the same way
+                let range = type === 'date' ? target.range : null;
+                if (type === 'date' && !range && target.day && isNaN(this.parseDateString(ast.value, colConfig.format, true))) {
+                    range = target.day;
+                }
+                if (range) {
+                    const cellDate = this.parseDateString(cellValStr, colConfig.format);
+                    if (isNaN(cellDate)) return false;
+                    const { from, to } = range;
+                    if (ast.operator === '=') return cellDate >= from && cellDate < to;
+                    if (ast.operator === '>=') return cellDate >= from;
+                    if (ast.operator === '>') return cellDate >= to;
+                    if (ast.operator === '<=') return cellDate < to;
+                    if (ast.operator === '<') return cellDate < from;
+                    return false;
+                }
+
+                // Equality compares numbers numerically, dates by timestamp and anything else as a whole string
+                if (ast.operator === '=') {
+                    if (type === 'number') {
+                        const cellNum = parseFloat(cellText.replace(/[^\d.-]/g, ''));
+                        return !isNaN(cellNum) && cellNum === parseFloat(target.value.replace(/[^\d.-]/g, ''));
+                    }
+                    if (type === 'date') {
+                        const cellDate = this.parseDateString(cellValStr, colConfig.format);
+                        let searchDate = this.parseDateString(ast.value, colConfig.format, true);
+                        if (isNaN(searchDate)) {
+                            // A literal in another format matches the same instant, or the local calendar day for a plain date
+                            if (isNaN(cellDate) || isNaN(searchValDate)) return false;
+                            return cellDate === searchValDate || new Date(cellDate).setHours(0, 0, 0, 0) === searchValDate;
+                        }
+                        return !isNaN(cellDate) && cellDate === searchDate;
+                    }
+                    return cellText === target.value;
+                }
+
                 if (type === 'date') {
                     const cellDate = this.parseDateString(cellValStr, colConfig.format);
-                    if (!isNaN(cellDate) && !isNaN(searchValDate)) {
-                        sVal = searchValDate;
+                    // The literal is read with the column's format first, so both sides are in the same time zone
+                    let searchDate = this.parseDateString(ast.value, colConfig.format, true);
+                    if (isNaN(searchDate)) searchDate = searchValDate;
+                    if (!isNaN(cellDate) && !isNaN(searchDate)) {
+                        sVal = searchDate;
                         cVal = cellDate;
                     } else {
                         return false;
                     }
                 } else {
-                    let cellNum = parseFloat(cellValStr.replace(/[^\d.-]/g, ''));
+                    let cellNum = parseFloat(cellText.replace(/[^\d.-]/g, ''));
                     let cellDate = isNaN(new Date(cellValStr).getTime()) ? NaN : new Date(cellValStr).getTime();
 
                     if (!isNaN(cellNum) && !isNaN(searchValNum)) {
@@ -378,60 +1633,39 @@ class Csv2Table {
         if (ast.type === 'TERM') {
             let targetColIndex = -1;
             if (ast.column) {
-                targetColIndex = this.headers.findIndex(h => h.toLowerCase() === ast.column.toLowerCase());
+                targetColIndex = this.findColumnIndex(ast.column);
+                if (targetColIndex === -1) return false; // Column not found
             }
 
-            let searchVal = ast.value;
-            let regexStr = searchVal.replace(/[.*+?{}()|[\]\\]/g, '\\$&'); // Escape regex chars except ^ and $
-
-            // Handle ^ at the start
-            if (regexStr.startsWith('^')) {
-                // It's already ^, which is correct for regex
-                // But we don't want to escape it if it was entered
-            } else {
-                regexStr = regexStr;
+            // Regex literals match the cell text as is; an invalid pattern matches nothing
+            if (ast.error) return false;
+            if (ast.regex) {
+                const testCell = (cell, i) => this.getSearchCellTexts(cell, i).some(text => ast.regex.test(text));
+                if (targetColIndex !== -1) return testCell(row[targetColIndex], targetColIndex);
+                return row.some((cell, i) => this.visibleColumns.has(i) && testCell(cell, i));
             }
 
-            // More properly: Let's extract ^ and $ manually
-            let isStartsWith = false;
-            let isEndsWith = false;
-
-            if (searchVal.startsWith('^')) {
-                isStartsWith = true;
-                searchVal = searchVal.substring(1);
-            }
-            if (searchVal.endsWith('$')) {
-                isEndsWith = true;
-                searchVal = searchVal.substring(0, searchVal.length - 1);
+            // Date:thisMonth is Date:=thisMonth
+            if (!ast.fuzzy && (this.columns[targetColIndex] || {}).type === 'date' && this.resolveRelativeDate(ast.value)) {
+                return this.evaluateSearchAST({ type: 'INEQUALITY', column: ast.column, operator: '=', value: ast.value }, row);
             }
 
-            let escapedVal = searchVal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (ast.fuzzy || this.fuzzySearch) {
+                return this.getFuzzySimilarity(ast, row) >= this.fuzzyThreshold;
+            }
 
-            let finalRegexStr = escapedVal;
-            if (isStartsWith) finalRegexStr = '^' + finalRegexStr;
-            if (isEndsWith) finalRegexStr = finalRegexStr + '$';
+            const regex = this.getTermRegex(ast);
+            const normalizedRegex = this.normalize ? this.getTermRegex({ value: this.normalizeSearchText(ast.value) }) : regex;
 
-            const regex = new RegExp(finalRegexStr, 'i'); // case insensitive
+            const testCell = (cell, i) => this.getSearchCellTexts(cell, i).some(cellVal => {
+                if (this.isColumnNormalized(i)) return normalizedRegex.test(this.normalizeSearchText(cellVal));
+                return regex.test(cellVal.toLowerCase());
+            });
 
             if (targetColIndex !== -1) {
-                const colConfig = this.columns[targetColIndex] || {};
-                let cellVal = String(row[targetColIndex] || '');
-                if (colConfig.type === 'date' && typeof colConfig.toString === 'string') {
-                    cellVal = this.formatDate(cellVal, colConfig.format, colConfig.toString, colConfig.locale);
-                }
-                cellVal = cellVal.toLowerCase();
-                return regex.test(cellVal);
+                return testCell(row[targetColIndex], targetColIndex);
             } else {
-                return row.some((cell, i) => {
-                    if (!this.visibleColumns.has(i)) return false;
-                    const colConfig = this.columns[i] || {};
-                    let cellVal = String(cell || '');
-                    if (colConfig.type === 'date' && typeof colConfig.toString === 'string') {
-                        cellVal = this.formatDate(cellVal, colConfig.format, colConfig.toString, colConfig.locale);
-                    }
-                    cellVal = cellVal.toLowerCase();
-                    return regex.test(cellVal);
-                });
+                return row.some((cell, i) => this.visibleColumns.has(i) && testCell(cell, i));
             }
         }
         return true;
@@ -453,11 +1687,27 @@ class Csv2Table {
         searchInput.className = 'csv2table-search';
         searchInput.value = this.searchQuery;
         searchInput.addEventListener('input', (e) => {
-            this.searchQuery = e.target.value;
-            this.searchAST = this.parseSearchQuery(this.searchQuery);
+            this.setSearchQuery(e.target.value);
+            this.currentPage = 1;
             this.renderTable();
+            if (this.queryModel) {
+                this.queryModel = this.astToQueryGroup(this.searchAST);
+                this.renderQueryBuilder();
+            }
         });
-        controls.appendChild(searchInput);
+
+        const searchWrapper = document.createElement('div');
+        searchWrapper.className = 'csv2table-search-wrapper';
+        searchWrapper.appendChild(searchInput);
+        controls.appendChild(searchWrapper);
+        this.searchInput = searchInput;
+        this.updateSearchState();
+        if (this.autocomplete) this.setupAutocomplete(searchWrapper);
+
+        this.filterChipsElement = document.createElement('div');
+        this.filterChipsElement.className = 'csv2table-filter-chips';
+        controls.appendChild(this.filterChipsElement);
+        this.renderFilterChips();
 
         const colFilterBtn = document.createElement('button');
         colFilterBtn.className = 'csv2table-col-filter-btn';
@@ -471,6 +1721,9 @@ class Csv2Table {
             if (!controls.contains(e.target)) {
                 colFilterDropdown.style.display = 'none';
             }
+            if (this.filterPanel && !this.filterPanel.element.contains(e.target)) {
+                this.closeFilterPanel();
+            }
         });
 
         colFilterBtn.addEventListener('click', () => {
@@ -490,22 +1743,561 @@ class Csv2Table {
                 }
                 this.renderTable();
             });
-            label.appendChild(checkbox);
-            label.appendChild(document.createTextNode(' ' + h));
-            colFilterDropdown.appendChild(label);
-        });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + h));
+            colFilterDropdown.appendChild(label);
+        });
+
+        const colFilterWrapper = document.createElement('div');
+        colFilterWrapper.className = 'csv2table-col-filter-wrapper';
+        colFilterWrapper.appendChild(colFilterBtn);
+        colFilterWrapper.appendChild(colFilterDropdown);
+        controls.appendChild(colFilterWrapper);
+
+        if (this.queryBuilder) {
+            const builderBtn = document.createElement('button');
+            builderBtn.className = 'csv2table-query-builder-btn';
+            builderBtn.textContent = this.i18n.queryBuilder;
+            builderBtn.setAttribute('aria-expanded', 'false');
+            builderBtn.addEventListener('click', () => {
+                this.toggleQueryBuilder();
+                builderBtn.setAttribute('aria-expanded', this.queryModel ? 'true' : 'false');
+            });
+            controls.appendChild(builderBtn);
+        }
+
+        this.progressElement = document.createElement('div');
+        this.progressElement.className = 'csv2table-progress';
+        const progressBar = document.createElement('progress');
+        const progressLabel = document.createElement('span');
+        progressLabel.className = 'csv2table-progress-label';
+        this.progressElement.appendChild(progressBar);
+        this.progressElement.appendChild(progressLabel);
+        controls.appendChild(this.progressElement);
+        this.updateProgressIndicator();
+
+        container.appendChild(controls);
+
+        if (this.queryBuilder) {
+            this.queryBuilderElement = document.createElement('div');
+            this.queryBuilderElement.className = 'csv2table-query-builder';
+            this.queryBuilderElement.style.display = 'none';
+            container.appendChild(this.queryBuilderElement);
+            this.queryModel = null;
+        }
+
+        this.tableWrapper = document.createElement('div');
+        this.tableWrapper.className = `csv2table-wrapper ${this.responsive ? 'responsive' : 'scroll'}`;
+        container.appendChild(this.tableWrapper);
+
+        if (this.virtualScroll) {
+            this.tableWrapper.classList.add('virtual');
+            this.tableWrapper.style.height = this.virtualScroll.height;
+            let frame = null;
+            this.tableWrapper.addEventListener('scroll', () => {
+                if (frame !== null) return;
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    this.renderVirtualRows(false);
+                });
+            });
+        }
+
+        if (this.pagination) {
+            this.pagerElement = document.createElement('div');
+            this.pagerElement.className = 'csv2table-pager';
+            container.appendChild(this.pagerElement);
+        }
+    }
+
+    /**
+     * Parses the query and reports its diagnostics through the search box and onSearchError.
+     * @param {string} query Search query
+     */
+    setSearchQuery(query) {
+        this.searchQuery = query;
+        const result = this.analyzeSearchQuery(query);
+        this.searchAST = result.ast;
+        this.searchDiagnostics = result.diagnostics;
+        this.updateSearchState();
+
+        if (this.searchDiagnostics.length > 0 && typeof this.onSearchError === 'function') {
+            this.onSearchError(this.searchDiagnostics, this);
+        }
+    }
+
+    /**
+     * Works out what is being typed at the cursor: a column name, or an operator or value for a column.
+     * @param {string} query Search query
+     * @param {number} cursor Cursor position
+     * @returns {{kind: string, column: number, prefix: string, start: number, end: number}|null}
+     *   kind is 'column' or 'value'; start and end delimit the text a suggestion replaces
+     */
+    getAutocompleteContext(query, cursor) {
+        let tokenStart = 0;
+        let inQuote = false, inBracket = false;
+        for (let i = 0; i < cursor; i++) {
+            if (query[i] === '"' && !inBracket) inQuote = !inQuote;
+            if (query[i] === '[' && !inQuote) inBracket = true;
+            if (query[i] === ']' && !inQuote) inBracket = false;
+            if (!inQuote && !inBracket && /[\s(]/.test(query[i])) tokenStart = i + 1;
+        }
+        if (query[tokenStart] === '-') tokenStart++;
+
+        const token = query.slice(tokenStart, cursor);
+        const match = token.match(/^("[^"]+"|\[[^\]]+\]|[^:()<>=!\s"]+):(!?)((?:>=|<=|!=|>|<|=|~)?)(.*)$/);
+        if (match) {
+            const name = match[1].replace(/^["[]|["\]]$/g, '');
+            const column = this.findColumnIndex(name);
+            if (column === -1) return null;
+            const valueStart = tokenStart + match[1].length + 1 + match[2].length + match[3].length;
+            return { kind: 'value', column, operator: match[3], prefix: match[4].replace(/^"/, ''), start: valueStart, end: cursor };
+        }
+
+        if (!token || /^(AND|OR|NOT)$/i.test(token)) return null;
+        return { kind: 'column', column: -1, prefix: token, start: tokenStart, end: cursor };
+    }
+
+    /**
+     * Returns the suggestions for the text at the cursor.
+     * @param {string} query Search query
+     * @param {number} cursor Cursor position
+     * @returns {Array<{label: string, detail: string, insert: string, start: number, end: number}>}
+     */
+    getAutocompleteSuggestions(query, cursor) {
+        const context = this.getAutocompleteContext(query, cursor);
+        if (!context) return [];
+
+        const limit = 8;
+        const prefix = context.prefix.toLowerCase();
+        const suggestions = [];
+        const add = (label, detail, insert) => {
+            suggestions.push({ label, detail, insert, start: context.start, end: context.end });
+        };
+
+        if (context.kind === 'column') {
+            this.headers.forEach((h, i) => {
+                const alias = (this.columns[i] || {}).alias;
+                const names = [h].concat(Array.isArray(alias) ? alias : (alias ? [alias] : []));
+                if (!names.some(name => String(name).toLowerCase().startsWith(prefix))) return;
+                const ref = /[\s:()<>=!"]/.test(h) ? `[${h}]` : h;
+                add(h, this.i18n.suggestColumn, `${ref}:`);
+            });
+            return suggestions.slice(0, limit);
+        }
+
+        // Right after Col: offer the operators, then the column's most frequent values
+        if (!context.operator && !prefix && query[context.start - 1] === ':') {
+            ['=', '!=', '>', '>=', '<', '<=', '~'].forEach(operator => add(operator, this.i18n.suggestOperator, operator));
+        }
+
+        // Keep only the top values while scanning; sorting every distinct value stalls large tables on each keystroke
+        const compare = (a, b) => b.count - a.count || (a.value < b.value ? -1 : (a.value > b.value ? 1 : 0));
+        const top = [];
+        this.getColumnValueCountMap(context.column).forEach((count, value) => {
+            if (value === '' || !value.toLowerCase().startsWith(prefix)) return;
+            const item = { value, count };
+            if (top.length === limit && compare(item, top[limit - 1]) >= 0) return;
+            const index = top.findIndex(other => compare(item, other) < 0);
+            top.splice(index === -1 ? top.length : index, 0, item);
+            if (top.length > limit) top.pop();
+        });
+        top.forEach(item => {
+            const insert = /[\s()"]/.test(item.value) ? `"${item.value.replace(/"/g, '')}"` : item.value;
+            add(item.value, item.count.toLocaleString(), `${insert} `);
+        });
+        return suggestions;
+    }
+
+    setupAutocomplete(wrapper) {
+        const input = this.searchInput;
+        const list = document.createElement('ul');
+        list.className = 'csv2table-autocomplete';
+        list.setAttribute('role', 'listbox');
+        list.style.display = 'none';
+        wrapper.appendChild(list);
+
+        let suggestions = [];
+        let activeIndex = -1;
+
+        const close = () => {
+            list.style.display = 'none';
+            suggestions = [];
+            activeIndex = -1;
+        };
+
+        const highlightActive = () => {
+            Array.from(list.children).forEach((item, index) => {
+                item.classList.toggle('active', index === activeIndex);
+                item.setAttribute('aria-selected', index === activeIndex ? 'true' : 'false');
+            });
+        };
+
+        const accept = (suggestion) => {
+            const query = input.value;
+            input.value = query.slice(0, suggestion.start) + suggestion.insert + query.slice(suggestion.end);
+            const cursor = suggestion.start + suggestion.insert.length;
+            input.setSelectionRange(cursor, cursor);
+            input.focus();
+            // Run the normal search and offer the next suggestions (e.g. operators after a column)
+            input.dispatchEvent(new Event('input'));
+        };
+
+        const update = () => {
+            suggestions = this.getAutocompleteSuggestions(input.value, input.selectionStart);
+            activeIndex = -1;
+            list.innerHTML = '';
+            if (suggestions.length === 0) {
+                close();
+                return;
+            }
+            suggestions.forEach(suggestion => {
+                const item = document.createElement('li');
+                item.setAttribute('role', 'option');
+                const label = document.createElement('span');
+                label.className = 'csv2table-autocomplete-label';
+                label.textContent = suggestion.label;
+                const detail = document.createElement('span');
+                detail.className = 'csv2table-autocomplete-detail';
+                detail.textContent = suggestion.detail;
+                item.appendChild(label);
+                item.appendChild(detail);
+                // mousedown instead of click so the input doesn't lose focus first
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    accept(suggestion);
+                });
+                list.appendChild(item);
+            });
+            list.style.display = 'block';
+        };
+
+        input.addEventListener('input', update);
+        input.addEventListener('focus', update);
+        input.addEventListener('blur', close);
+        input.addEventListener('keydown', (e) => {
+            if (suggestions.length === 0) return;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+                highlightActive();
+            } else if ((e.key === 'Enter' || e.key === 'Tab') && activeIndex !== -1) {
+                e.preventDefault();
+                accept(suggestions[activeIndex]);
+            } else if (e.key === 'Escape') {
+                close();
+            }
+        });
+    }
+
+    /**
+     * Shows the error or warning state of the search box, with the diagnostics as tooltip.
+     */
+    updateSearchState() {
+        if (!this.searchInput) return;
+        const hasError = this.searchDiagnostics.some(d => d.severity === 'error');
+        const hasWarning = !hasError && this.searchDiagnostics.length > 0;
+        this.searchInput.classList.toggle('csv2table-search-error', hasError);
+        this.searchInput.classList.toggle('csv2table-search-warning', hasWarning);
+        this.searchInput.title = this.searchDiagnostics.map(d => d.message).join('\n');
+    }
+
+    /**
+     * Turns a search AST back into query text that parses to the same AST.
+     * @param {Object|null} ast Search AST
+     * @returns {string} Query text
+     */
+    stringifySearchAST(ast) {
+        if (!ast) return '';
+
+        const columnRef = (name) => {
+            if (/^[^:()<>=!\s"\[\]-][^:()<>=!\s"\[\]]*$/.test(name) && !/^(AND|OR|NOT)$/i.test(name)) return name;
+            return name.includes(']') ? `"${name}"` : `[${name}]`;
+        };
+        const quoteValue = (value, column, operator) => {
+            const plain = /^(?:-[\d.]|[^\s()"\[\/:<>=!~-])[^\s()":]*$/.test(value) &&
+                !/^(AND|OR|NOT)$/i.test(value) &&
+                !(column && !operator && (value.includes('..') || value.toLowerCase() === 'empty'));
+            return plain ? value : `"${value}"`;
+        };
+        const wrap = (node, parentType) => {
+            const text = this.stringifySearchAST(node);
+            const needsParens = node.type === 'OR' ? parentType !== 'OR' : (node.type === 'AND' && parentType === 'NOT');
+            return needsParens ? `(${text})` : text;
+        };
+
+        if (ast.type === 'OR' || ast.type === 'AND') {
+            return `${wrap(ast.left, ast.type)} ${ast.type} ${wrap(ast.right, ast.type)}`;
+        }
+        if (ast.type === 'NOT') {
+            return `NOT ${wrap(ast.operand, 'NOT')}`;
+        }
+
+        const prefix = ast.column ? `${columnRef(ast.column)}:` : '';
+        if (ast.type === 'EMPTY') {
+            return `${prefix}empty`;
+        }
+        if (ast.type === 'INEQUALITY') {
+            return `${prefix}${ast.operator}${quoteValue(ast.value, ast.column, ast.operator)}`;
+        }
+        if (ast.regex || ast.error) {
+            const source = ast.value.replace(/\\.|\//g, m => m === '/' ? '\\/' : m);
+            return `${prefix}/${source}/${ast.flags || ''}`;
+        }
+        return `${prefix}${ast.fuzzy ? '~' : ''}${quoteValue(ast.value, ast.column, null)}`;
+    }
+
+    /**
+     * Converts a search AST into the query builder's model.
+     * Chains of the same operator become one group; NOT becomes the negate flag of a condition or group.
+     * @param {Object|null} ast Search AST
+     * @returns {Object} Root group {type: 'group', join: 'AND'|'OR', negate, items}
+     */
+    astToQueryGroup(ast) {
+        const flatten = (node, type) => node.type === type ? flatten(node.left, type).concat(flatten(node.right, type)) : [node];
+
+        const toItem = (node) => {
+            if (node.type === 'NOT') {
+                const item = toItem(node.operand);
+                item.negate = !item.negate;
+                return item;
+            }
+            if (node.type === 'AND' || node.type === 'OR') {
+                return { type: 'group', join: node.type, negate: false, items: flatten(node, node.type).map(toItem) };
+            }
+            if (node.type === 'EMPTY') {
+                return { type: 'condition', column: node.column, operator: 'empty', value: '', flags: '', negate: false };
+            }
+            const isRegex = node.type === 'TERM' && (node.regex || node.error);
+            return {
+                type: 'condition',
+                column: node.column,
+                operator: node.type === 'INEQUALITY' ? node.operator : (isRegex ? 'regex' : (node.fuzzy ? 'fuzzy' : 'contains')),
+                value: node.value,
+                flags: isRegex ? (node.flags || '') : '',
+                negate: false
+            };
+        };
+
+        const root = ast ? toItem(ast) : null;
+        if (root && root.type === 'group' && !root.negate) return root;
+        return { type: 'group', join: 'AND', negate: false, items: root ? [root] : [] };
+    }
+
+    /**
+     * Converts the query builder's model into a search AST.
+     * Conditions without a value, or 'empty' conditions without a column, are left out.
+     * @param {Object} item Group or condition
+     * @returns {Object|null} Search AST
+     */
+    queryGroupToAst(item) {
+        let node;
+        if (item.type === 'group') {
+            const children = item.items.map(child => this.queryGroupToAst(child)).filter(Boolean);
+            if (children.length === 0) return null;
+            node = children.reduce((left, right) => ({ type: item.join, left: left, right: right }));
+        } else {
+            if (item.operator === 'empty') {
+                if (item.column === null) return null;
+                node = { type: 'EMPTY', column: item.column };
+            } else if (item.value === '') {
+                return null;
+            } else if (item.operator === 'regex') {
+                const compiled = this.compileSearchRegex(item.value, item.flags);
+                node = { type: 'TERM', column: item.column, value: item.value, flags: item.flags, regex: compiled.regex, error: compiled.error };
+            } else if (item.operator === 'contains') {
+                node = { type: 'TERM', column: item.column, value: item.value.toLowerCase() };
+            } else if (item.operator === 'fuzzy') {
+                node = { type: 'TERM', column: item.column, value: item.value.toLowerCase(), fuzzy: true };
+            } else {
+                node = { type: 'INEQUALITY', column: item.column, operator: item.operator, value: item.value.toLowerCase() };
+            }
+        }
+        return item.negate ? { type: 'NOT', operand: node } : node;
+    }
+
+    /**
+     * Opens the query builder with the current search, or closes it.
+     */
+    toggleQueryBuilder() {
+        if (!this.queryBuilderElement) return;
+        if (this.queryModel) {
+            this.queryModel = null;
+            this.queryBuilderElement.style.display = 'none';
+            this.queryBuilderElement.innerHTML = '';
+            return;
+        }
+        this.queryModel = this.astToQueryGroup(this.searchAST);
+        if (this.queryModel.items.length === 0) this.queryModel.items.push(this.createQueryCondition());
+        this.queryBuilderElement.style.display = 'block';
+        this.renderQueryBuilder();
+    }
+
+    createQueryCondition() {
+        return { type: 'condition', column: null, operator: 'contains', value: '', flags: '', negate: false };
+    }
+
+    /**
+     * Writes the builder's query into the search box and runs it.
+     */
+    applyQueryBuilder() {
+        const query = this.stringifySearchAST(this.queryGroupToAst(this.queryModel));
+        if (this.searchInput) this.searchInput.value = query;
+        this.setSearchQuery(query);
+        this.currentPage = 1;
+        this.renderTable();
+    }
+
+    renderQueryBuilder() {
+        const panel = this.queryBuilderElement;
+        if (!panel || !this.queryModel) return;
+        panel.innerHTML = '';
+
+        const operators = [
+            { value: 'contains', label: this.i18n.builderContains },
+            { value: 'fuzzy', label: this.i18n.builderSimilar },
+            { value: '=', label: '=' },
+            { value: '!=', label: '!=' },
+            { value: '>', label: '>' },
+            { value: '>=', label: '>=' },
+            { value: '<', label: '<' },
+            { value: '<=', label: '<=' },
+            { value: 'empty', label: this.i18n.builderEmpty }
+        ];
+        if (this.regexSearch) operators.push({ value: 'regex', label: this.i18n.builderMatches });
+
+        const createSelect = (className, options, selected, onChange) => {
+            const select = document.createElement('select');
+            select.className = className;
+            options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option.value;
+                element.textContent = option.label;
+                element.selected = option.value === selected;
+                select.appendChild(element);
+            });
+            select.addEventListener('change', () => onChange(select.value));
+            return select;
+        };
+
+        const createNotToggle = (item) => {
+            const label = document.createElement('label');
+            label.className = 'csv2table-query-not';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = item.negate;
+            checkbox.addEventListener('change', () => {
+                item.negate = checkbox.checked;
+                this.applyQueryBuilder();
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + this.i18n.builderNot));
+            return label;
+        };
+
+        const createRemoveButton = (parent, item) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'csv2table-query-remove';
+            button.textContent = '\u00d7';
+            button.title = this.i18n.builderRemove;
+            button.setAttribute('aria-label', this.i18n.builderRemove);
+            button.addEventListener('click', () => {
+                parent.items.splice(parent.items.indexOf(item), 1);
+                this.applyQueryBuilder();
+                this.renderQueryBuilder();
+            });
+            return button;
+        };
+
+        const renderCondition = (parent, item) => {
+            const row = document.createElement('div');
+            row.className = 'csv2table-query-condition';
+            row.appendChild(createNotToggle(item));
+
+            // Keep a column that doesn't exist (typed in the search box) selectable instead of dropping it
+            const columnIndex = item.column === null ? -1 : this.findColumnIndex(item.column);
+            const columnOptions = [{ value: '', label: this.i18n.builderAnyColumn }]
+                .concat(this.headers.map(h => ({ value: h, label: h })));
+            if (item.column !== null && columnIndex === -1) columnOptions.push({ value: item.column, label: item.column });
+            const selectedColumn = item.column === null ? '' : (columnIndex === -1 ? item.column : this.headers[columnIndex]);
+            row.appendChild(createSelect('csv2table-query-column', columnOptions, selectedColumn, value => {
+                item.column = value === '' ? null : value;
+                this.applyQueryBuilder();
+            }));
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'csv2table-query-value';
+            input.placeholder = this.i18n.builderValuePlaceholder;
+            input.value = item.value;
+            input.style.display = item.operator === 'empty' ? 'none' : '';
+            input.addEventListener('input', () => {
+                item.value = input.value;
+                this.applyQueryBuilder();
+            });
+
+            row.appendChild(createSelect('csv2table-query-operator', operators, item.operator, value => {
+                item.operator = value;
+                if (value !== 'regex') item.flags = '';
+                input.style.display = value === 'empty' ? 'none' : '';
+                this.applyQueryBuilder();
+            }));
+            row.appendChild(input);
+
+            row.appendChild(createRemoveButton(parent, item));
+            return row;
+        };
+
+        const renderGroup = (parent, group) => {
+            const element = document.createElement('div');
+            element.className = 'csv2table-query-group';
+
+            const header = document.createElement('div');
+            header.className = 'csv2table-query-group-header';
+            header.appendChild(createNotToggle(group));
+            header.appendChild(createSelect('csv2table-query-join', [
+                { value: 'AND', label: 'AND' },
+                { value: 'OR', label: 'OR' }
+            ], group.join, value => {
+                group.join = value;
+                this.applyQueryBuilder();
+            }));
+
+            const addCondition = document.createElement('button');
+            addCondition.type = 'button';
+            addCondition.className = 'csv2table-query-add';
+            addCondition.textContent = this.i18n.builderAddCondition;
+            addCondition.addEventListener('click', () => {
+                group.items.push(this.createQueryCondition());
+                this.renderQueryBuilder();
+            });
+            header.appendChild(addCondition);
+
+            const addGroup = document.createElement('button');
+            addGroup.type = 'button';
+            addGroup.className = 'csv2table-query-add';
+            addGroup.textContent = this.i18n.builderAddGroup;
+            addGroup.addEventListener('click', () => {
+                group.items.push({ type: 'group', join: group.join === 'AND' ? 'OR' : 'AND', negate: false, items: [this.createQueryCondition()] });
+                this.renderQueryBuilder();
+            });
+            header.appendChild(addGroup);
 
-        const colFilterWrapper = document.createElement('div');
-        colFilterWrapper.className = 'csv2table-col-filter-wrapper';
-        colFilterWrapper.appendChild(colFilterBtn);
-        colFilterWrapper.appendChild(colFilterDropdown);
-        controls.appendChild(colFilterWrapper);
+            if (parent) header.appendChild(createRemoveButton(parent, group));
+            element.appendChild(header);
 
-        container.appendChild(controls);
+            const items = document.createElement('div');
+            items.className = 'csv2table-query-items';
+            group.items.forEach(item => {
+                items.appendChild(item.type === 'group' ? renderGroup(group, item) : renderCondition(group, item));
+            });
+            element.appendChild(items);
+            return element;
+        };
 
-        this.tableWrapper = document.createElement('div');
-        this.tableWrapper.className = `csv2table-wrapper ${this.responsive ? 'responsive' : 'scroll'}`;
-        container.appendChild(this.tableWrapper);
+        panel.appendChild(renderGroup(null, this.queryModel));
     }
 
     formatNumber(valueStr, formatStr, locale) {
@@ -571,6 +2363,23 @@ class Csv2Table {
         return String(num);
     }
 
+    /**
+     * Applies a number column's toString format and unit.
+     * @param {string} valueStr Raw cell value
+     * @param {Object} colConfig Column config
+     * @returns {string} Displayed text
+     */
+    formatNumberCell(valueStr, colConfig) {
+        let text = valueStr;
+        if (typeof colConfig.toString === 'string') {
+            text = this.formatNumber(valueStr, colConfig.toString, colConfig.locale);
+        }
+        if (typeof colConfig.unit === 'string' && String(text).trim() !== '') {
+            text = String(text) + colConfig.unit;
+        }
+        return String(text);
+    }
+
     formatDate(valueStr, inputFormatStr, outputFormatStr, locale) {
         if (!valueStr) return '';
         const timestamp = this.parseDateString(valueStr, inputFormatStr);
@@ -607,8 +2416,150 @@ class Csv2Table {
         return outputFormatStr.replace(/YYYY|YY|Mmm|MM|M|DD|D|HH|H|mm|m|ss|s|Www|Z/g, match => map[match]);
     }
 
+    /**
+     * Returns the indices into this.data of the rows matching the search, in display order.
+     * @returns {Array<number>} Row indices
+     */
+    getRowIndices() {
+        const indices = [];
+        const hasSearch = this.searchQuery && this.searchQuery.trim() && this.searchAST;
+        this.data.forEach((row, index) => {
+            if (hasSearch && !this.evaluateSearchAST(this.searchAST, row)) return;
+            if (!this.matchesColumnFilters(row)) return;
+            indices.push(index);
+        });
+
+        if (this.sortStack.length > 0) {
+            indices.sort((a, b) => this.compareRows(this.data[a], this.data[b]));
+        } else if (hasSearch) {
+            // Without an explicit sort, rows that match the fuzzy terms more closely come first
+            const fuzzyTerms = this.collectFuzzyTerms(this.searchAST);
+            if (fuzzyTerms.length > 0) {
+                const scores = new Map(indices.map(index => [
+                    index,
+                    fuzzyTerms.reduce((sum, term) => sum + this.getFuzzySimilarity(term, this.data[index]), 0)
+                ]));
+                indices.sort((a, b) => scores.get(b) - scores.get(a));
+            }
+        }
+        return indices;
+    }
+
+    /**
+     * Compares two rows by each key of the sort stack in priority order.
+     * @returns {number} Negative, zero or positive
+     */
+    compareRows(a, b) {
+        for (const key of this.sortStack) {
+            const comp = this.compareColumn(a, b, key.column, key.direction === 'desc');
+            if (comp !== 0) return comp;
+        }
+        return 0;
+    }
+
+    compareColumn(a, b, column, descending) {
+        const colConfig = this.columns[column] || {};
+        const type = colConfig.type || 'string';
+
+        let valA = a[column];
+        let valB = b[column];
+
+        if (valA === undefined) valA = '';
+        if (valB === undefined) valB = '';
+
+        // Null markers sort last in either direction
+        const nullA = this.isNullValue(valA, column);
+        const nullB = this.isNullValue(valB, column);
+        if (nullA || nullB) return nullA === nullB ? 0 : (nullA ? 1 : -1);
+
+        let comp = 0;
+        if (type === 'number') {
+            const numA = parseFloat(valA.replace(/[^\d.-]/g, ''));
+            const numB = parseFloat(valB.replace(/[^\d.-]/g, ''));
+            valA = isNaN(numA) ? -Infinity : numA;
+            valB = isNaN(numB) ? -Infinity : numB;
+            comp = valA - valB;
+        } else if (type === 'date') {
+            const format = colConfig.format;
+            valA = this.parseDateString(valA, format);
+            valB = this.parseDateString(valB, format);
+
+            const isNaNA = isNaN(valA);
+            const isNaNB = isNaN(valB);
+
+            if (isNaNA && isNaNB) {
+                comp = 0;
+            } else if (isNaNA) {
+                return 1;
+            } else if (isNaNB) {
+                return -1;
+            } else {
+                comp = valA - valB;
+            }
+        } else {
+            comp = String(valA).localeCompare(String(valB));
+        }
+
+        return descending ? -comp : comp;
+    }
+
+    /**
+     * Resolves sort keys given by column name or index into the internal sort stack.
+     * Unknown and image columns are dropped, as is a repeated column.
+     * @param {Array<Object>} keys e.g. [{column: 'Age', direction: 'desc'}]
+     * @returns {Array<{column: number, direction: string}>} Sort stack
+     */
+    normalizeSortKeys(keys) {
+        const stack = [];
+        (keys || []).forEach(key => {
+            let column = key.column;
+            if (typeof column === 'string') {
+                column = this.findColumnIndex(key.column);
+            }
+            if (typeof column !== 'number' || column < 0 || column >= this.headers.length) return;
+            if ((this.columns[column] || {}).type === 'image') return;
+            if (stack.some(existing => existing.column === column)) return;
+            stack.push({ column, direction: key.direction === 'desc' ? 'desc' : 'asc' });
+        });
+        return stack;
+    }
+
+    /**
+     * Sorts by one or more columns, the first key having the highest priority.
+     * @param {Array<Object>} keys e.g. [{column: 'Department'}, {column: 'Salary', direction: 'desc'}]
+     */
+    sortBy(keys) {
+        this.sortStack = this.normalizeSortKeys(keys);
+        this.renderTable();
+    }
+
+    /**
+     * Restores the original CSV row order.
+     */
+    clearSort() {
+        this.sortStack = [];
+        this.renderTable();
+    }
+
     renderTable() {
         if (!this.tableWrapper) return;
+
+        if (this.worker) {
+            // Only the response to the latest request is drawn
+            const requestId = ++this.renderRequestId;
+            this.postToWorker('query', this.getWorkerState()).then(rowIndices => {
+                if (requestId === this.renderRequestId) this.drawTable(rowIndices);
+            }).catch(error => {
+                console.error("Worker query failed:", error);
+            });
+            return;
+        }
+
+        this.drawTable(this.getRowIndices());
+    }
+
+    drawTable(rowIndices) {
+        const scrollTop = this.tableWrapper.scrollTop;
         this.tableWrapper.innerHTML = '';
 
         const table = document.createElement('table');
@@ -634,18 +2585,40 @@ class Csv2Table {
                 th.appendChild(headerText);
 
                 th.style.cursor = 'pointer';
-                if (this.sortColumn === i) {
-                    th.classList.add(this.sortAsc ? 'sort-asc' : 'sort-desc');
+                const sortIndex = this.sortStack.findIndex(key => key.column === i);
+                if (sortIndex !== -1) {
+                    const isAsc = this.sortStack[sortIndex].direction === 'asc';
+                    th.classList.add(isAsc ? 'sort-asc' : 'sort-desc');
+                    th.setAttribute('aria-sort', isAsc ? 'ascending' : 'descending');
+                    if (this.sortStack.length > 1) {
+                        const priority = document.createElement('span');
+                        priority.className = 'csv2table-sort-priority';
+                        priority.textContent = sortIndex + 1;
+                        th.appendChild(priority);
+                    }
                 } else {
                     th.classList.add('sortable');
+                    th.setAttribute('aria-sort', 'none');
                 }
 
-                th.addEventListener('click', () => {
-                    if (this.sortColumn === i) {
-                        this.sortAsc = !this.sortAsc;
+                // Each click cycles ascending -> descending -> original order.
+                // Shift-click applies the cycle to this key within the stack. A plain click sorts by this column only:
+                // it continues the cycle when this column is already the only key and starts at ascending otherwise.
+                th.addEventListener('click', (e) => {
+                    const existing = this.sortStack.find(key => key.column === i);
+                    const direction = !existing ? 'asc' : (existing.direction === 'asc' ? 'desc' : null);
+                    if (e.shiftKey) {
+                        if (!existing) {
+                            this.sortStack.push({ column: i, direction });
+                        } else if (direction) {
+                            existing.direction = direction;
+                        } else {
+                            this.sortStack = this.sortStack.filter(key => key !== existing);
+                        }
+                    } else if (existing && this.sortStack.length === 1) {
+                        this.sortStack = direction ? [{ column: i, direction }] : [];
                     } else {
-                        this.sortColumn = i;
-                        this.sortAsc = true;
+                        this.sortStack = [{ column: i, direction: 'asc' }];
                     }
                     this.renderTable();
                 });
@@ -653,6 +2626,20 @@ class Csv2Table {
                 th.textContent = h;
             }
 
+            if (this.headerFilters && isSortable && colConfig.filter !== false) {
+                const filterBtn = document.createElement('button');
+                filterBtn.type = 'button';
+                filterBtn.className = 'csv2table-th-filter-btn';
+                if (this.columnFilters.has(i)) filterBtn.classList.add('active');
+                filterBtn.textContent = '\u25be';
+                filterBtn.title = this.i18n.filterValues;
+                filterBtn.addEventListener('click', (e) => {
+                    e.stopPropagation(); // Don't sort
+                    this.toggleFilterPanel(i, filterBtn);
+                });
+                th.appendChild(filterBtn);
+            }
+
             trHead.appendChild(th);
         });
         thead.appendChild(trHead);
@@ -660,128 +2647,703 @@ class Csv2Table {
 
         const tbody = document.createElement('tbody');
 
-        let filteredData = this.data.filter((row, originalIndex) => {
-            row._originalIndex = originalIndex;
+        this.rowIndices = rowIndices;
+        this.highlightTerms = this.highlightMatches ? this.collectHighlightTerms(this.searchAST) : [];
+        const pageInfo = this.getPageInfo();
+        const pageIndices = this.pagination ? rowIndices.slice(pageInfo.start - 1, pageInfo.end) : rowIndices;
+        this.virtualTbody = null;
+
+        if (pageIndices.length === 0) {
+            const tr = document.createElement('tr');
+            tr.className = 'csv2table-tr csv2table-tbody-tr csv2table-empty-row';
+            const td = document.createElement('td');
+            td.className = 'csv2table-td';
+            td.colSpan = this.visibleColumns.size;
+            td.textContent = this.i18n.noData;
+            td.style.textAlign = 'center';
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+        } else if (this.virtualScroll) {
+            this.virtualTbody = tbody;
+            this.virtualRows = pageIndices;
+        } else {
+            pageIndices.forEach(originalIndex => tbody.appendChild(this.createRowElement(originalIndex)));
+        }
+
+        table.appendChild(tbody);
+        this.tableWrapper.appendChild(table);
+
+        if (this.virtualTbody) {
+            // Replacing the table resets the scroll position; pad the tbody to full height first so it can be restored
+            this.renderVirtualRows(true);
+            this.tableWrapper.scrollTop = scrollTop;
+            this.renderVirtualRows(true);
+        }
+
+        if (this.pagination) this.renderPager();
+
+        if (typeof this.onRenderComplete === 'function') {
+            this.onRenderComplete(this);
+        }
+    }
+
+    /**
+     * Collects the regexes of the search terms that can be highlighted, skipping negated terms.
+     * @param {Object} ast Search AST
+     * @returns {Array<{column: number, regex: RegExp, normalizedRegex: RegExp|null}>} column is -1 for terms
+     *   matching any column; normalizedRegex matches normalized text and is null for regex literals
+     */
+    collectHighlightTerms(ast, terms = []) {
+        if (!ast) return terms;
+        if (ast.type === 'AND' || ast.type === 'OR') {
+            this.collectHighlightTerms(ast.left, terms);
+            this.collectHighlightTerms(ast.right, terms);
+        } else if (ast.type === 'TERM' && !ast.error && (ast.value || ast.regex)) {
+            const column = ast.column ? this.findColumnIndex(ast.column) : -1;
+            if (!ast.column || column !== -1) {
+                const normalizedRegex = this.normalize && !ast.regex ?
+                    this.getTermRegex({ value: this.normalizeSearchText(ast.value) }, 'g') : null;
+                terms.push({ column, regex: this.getTermRegex(ast, 'g'), normalizedRegex });
+            }
+        } else if (ast.type === 'INEQUALITY' && ast.operator === '=' && ast.column) {
+            // Whole-string equality on string columns highlights the whole cell
+            const column = this.findColumnIndex(ast.column);
+            const type = (this.columns[column] || {}).type || 'string';
+            if (column !== -1 && type === 'string' && ast.value) {
+                terms.push({
+                    column,
+                    regex: this.getTermRegex({ value: `^${ast.value}$` }, 'g'),
+                    normalizedRegex: this.normalize ? this.getTermRegex({ value: `^${this.normalizeSearchText(ast.value)}$` }, 'g') : null
+                });
+            }
+        }
+        return terms;
+    }
 
-            if (!this.searchQuery || !this.searchQuery.trim() || !this.searchAST) return true;
-            return this.evaluateSearchAST(this.searchAST, row);
+    /**
+     * Appends text to an element, wrapping matches of the column's highlight terms in <mark>.
+     * Text is only ever inserted as text nodes, so cell content cannot inject HTML.
+     * @param {HTMLElement} parent Element to append to
+     * @param {string} text Displayed text
+     * @param {number} column Column index
+     */
+    appendHighlightedText(parent, text, column) {
+        text = String(text);
+        const ranges = [];
+        const normalizeColumn = this.isColumnNormalized(column);
+        let normalized = null;
+        (this.highlightTerms || []).forEach(term => {
+            if (term.column !== -1 && term.column !== column) return;
+            const useNormalized = normalizeColumn && term.normalizedRegex;
+            const regex = useNormalized ? term.normalizedRegex : term.regex;
+            if (useNormalized && !normalized) normalized = this.normalizeWithOffsets(text);
+            const subject = useNormalized ? normalized.text : text;
+            regex.lastIndex = 0;
+            let match;
+            while ((match = regex.exec(subject)) !== null) {
+                if (match[0].length === 0) {
+                    regex.lastIndex++;
+                    continue;
+                }
+                let from = match.index, to = match.index + match[0].length;
+                if (useNormalized) {
+                    // Map back to the original text, widening to whole characters when one expanded to several
+                    const offsets = normalized.offsets;
+                    let end = to;
+                    while (end < offsets.length - 1 && offsets[end] === offsets[to - 1]) end++;
+                    from = offsets[from];
+                    to = offsets[end];
+                }
+                ranges.push([from, to]);
+            }
         });
 
-        if (this.sortColumn !== null) {
-            const colConfig = this.columns[this.sortColumn] || {};
-            const type = colConfig.type || 'string';
+        if (ranges.length === 0) {
+            parent.appendChild(document.createTextNode(text));
+            return;
+        }
 
-            filteredData.sort((a, b) => {
-                let valA = a[this.sortColumn];
-                let valB = b[this.sortColumn];
-
-                if (valA === undefined) valA = '';
-                if (valB === undefined) valB = '';
-
-                let comp = 0;
-                if (type === 'number') {
-                    const numA = parseFloat(valA.replace(/[^\d.-]/g, ''));
-                    const numB = parseFloat(valB.replace(/[^\d.-]/g, ''));
-                    valA = isNaN(numA) ? -Infinity : numA;
-                    valB = isNaN(numB) ? -Infinity : numB;
-                    comp = valA - valB;
-                } else if (type === 'date') {
-                    const format = colConfig.format;
-                    valA = this.parseDateString(valA, format);
-                    valB = this.parseDateString(valB, format);
-
-                    const isNaNA = isNaN(valA);
-                    const isNaNB = isNaN(valB);
-
-                    if (isNaNA && isNaNB) {
-                        comp = 0;
-                    } else if (isNaNA) {
-                        return 1;
-                    } else if (isNaNB) {
-                        return -1;
-                    } else {
-                        comp = valA - valB;
-                    }
+        // Merge overlapping matches from different terms
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [ranges[0]];
+        ranges.slice(1).forEach(range => {
+            const last = merged[merged.length - 1];
+            if (range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range);
+            }
+        });
+
+        let position = 0;
+        merged.forEach(([from, to]) => {
+            if (from > position) parent.appendChild(document.createTextNode(text.slice(position, from)));
+            const mark = document.createElement('mark');
+            mark.className = 'csv2table-highlight';
+            mark.textContent = text.slice(from, to);
+            parent.appendChild(mark);
+            position = to;
+        });
+        if (position < text.length) parent.appendChild(document.createTextNode(text.slice(position)));
+    }
+
+    createRowElement(originalIndex) {
+        const row = this.data[originalIndex];
+        const tr = document.createElement('tr');
+        tr.className = `csv2table-tr csv2table-tbody-tr csv2table-row-${originalIndex}`;
+
+        this.headers.forEach((h, i) => {
+            if (!this.visibleColumns.has(i)) return;
+            const td = document.createElement('td');
+            td.className = `csv2table-td csv2table-col-${i} csv2table-cell-${originalIndex}-${i}`;
+
+            const colConfig = this.columns[i] || {};
+            const type = colConfig.type || 'string';
+            const cellValue = row[i] || '';
+
+            if (type === 'url') {
+                if (cellValue) {
+                    const a = document.createElement('a');
+                    a.href = cellValue;
+                    this.appendHighlightedText(a, cellValue, i);
+                    a.target = '_blank';
+                    td.appendChild(a);
+                }
+            } else if (type === 'image') {
+                if (cellValue) {
+                    const img = document.createElement('img');
+                    img.src = cellValue;
+                    img.alt = `ROW${originalIndex}COL${i}`;
+                    img.className = 'csv2table-img';
+                    td.appendChild(img);
+                }
+            } else if (this.isNullValue(cellValue, i)) {
+                // Null markers are shown as they are, without number or date formatting
+                td.classList.add('csv2table-null');
+                td.appendChild(document.createTextNode(cellValue));
+            } else {
+                const displayText = this.getCellDisplayText(cellValue, i);
+                // Only highlight text the search actually looked at, e.g. not "3歳" when the column searches raw values
+                if (this.getSearchCellTexts(cellValue, i).includes(displayText)) {
+                    this.appendHighlightedText(td, displayText, i);
                 } else {
-                    comp = String(valA).localeCompare(String(valB));
+                    td.appendChild(document.createTextNode(displayText));
                 }
+            }
 
-                return this.sortAsc ? comp : -comp;
-            });
-        }
+            td.setAttribute('data-label', h);
+
+            tr.appendChild(td);
+        });
+        return tr;
+    }
 
-        if (filteredData.length === 0) {
+    /**
+     * Renders only the rows inside the scroll viewport plus a buffer.
+     * Spacer rows above and below keep the tbody at the full height so the scrollbar stays accurate.
+     * @param {boolean} force Re-render even if the visible range is unchanged
+     */
+    renderVirtualRows(force) {
+        const tbody = this.virtualTbody;
+        if (!tbody) return;
+
+        const indices = this.virtualRows;
+        const buffer = this.virtualScroll.buffer;
+        const rowHeight = this.virtualRowHeight;
+        const thead = tbody.parentNode ? tbody.parentNode.querySelector('thead') : null;
+        const headerHeight = thead ? thead.offsetHeight : 0;
+        const viewportHeight = this.tableWrapper.clientHeight || parseInt(this.virtualScroll.height, 10) || 400;
+
+        const count = Math.ceil(viewportHeight / rowHeight) + buffer * 2;
+        let first = Math.floor(Math.max(0, this.tableWrapper.scrollTop - headerHeight) / rowHeight) - buffer;
+        first = Math.max(0, Math.min(first, indices.length - count));
+        first -= first % 2; // Even start keeps the zebra striping stable while scrolling
+        const last = Math.min(indices.length, first + count);
+
+        if (!force && this.virtualRange && this.virtualRange.first === first && this.virtualRange.last === last) return;
+        this.virtualRange = { first, last };
+
+        const createSpacer = (height) => {
             const tr = document.createElement('tr');
-            tr.className = 'csv2table-tr csv2table-tbody-tr csv2table-empty-row';
+            tr.className = 'csv2table-virtual-spacer';
             const td = document.createElement('td');
-            td.className = 'csv2table-td';
             td.colSpan = this.visibleColumns.size;
-            td.textContent = this.i18n.noData;
-            td.style.textAlign = 'center';
+            td.style.height = `${height}px`;
             tr.appendChild(td);
-            tbody.appendChild(tr);
+            return tr;
+        };
+
+        tbody.innerHTML = '';
+        tbody.appendChild(createSpacer(first * rowHeight));
+        for (let i = first; i < last; i++) {
+            tbody.appendChild(this.createRowElement(indices[i]));
+        }
+        tbody.appendChild(createSpacer((indices.length - last) * rowHeight));
+
+        // Without a configured rowHeight, measure the real one once and re-render with it
+        if (!this.virtualScroll.rowHeight && !this.virtualRowHeightMeasured && last > first) {
+            const measured = tbody.children[1].offsetHeight;
+            if (measured > 0) {
+                this.virtualRowHeightMeasured = true;
+                if (measured !== rowHeight) {
+                    this.virtualRowHeight = measured;
+                    this.renderVirtualRows(true);
+                }
+            }
+        }
+    }
+
+    matchesColumnFilters(row) {
+        for (const [column, filter] of this.columnFilters) {
+            const cellValue = row[column] || '';
+            if (filter.type === 'values') {
+                if (!filter.values.has(cellValue)) return false;
+            } else if (filter.type === 'range') {
+                const num = parseFloat(cellValue.replace(/[^\d.-]/g, ''));
+                if (isNaN(num) || num < filter.min || num > filter.max) return false;
+            } else if (filter.type === 'dateRange') {
+                const time = this.parseDateString(cellValue, (this.columns[column] || {}).format);
+                if (isNaN(time)) return false;
+                // from and to are YYYY-MM-DD from the date inputs, in local time; to includes the whole day
+                const toLocalDate = (value, dayOffset) => {
+                    const [year, month, day] = value.split('-').map(part => parseInt(part, 10));
+                    return new Date(year, month - 1, day + dayOffset).getTime();
+                };
+                if (filter.from && time < toLocalDate(filter.from, 0)) return false;
+                if (filter.to && time >= toLocalDate(filter.to, 1)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Sets or removes the header filter of a column. Header filters are combined with the search box via AND.
+     * @param {number|string} column Column index or header name
+     * @param {Object|null} filter e.g. {type: 'values', values: new Set(['Japan', 'China'])}, or null to remove
+     */
+    setColumnFilter(column, filter) {
+        if (typeof column === 'string') {
+            column = this.findColumnIndex(column);
+        }
+        if (column < 0 || column >= this.headers.length) return;
+
+        if (filter) {
+            this.columnFilters.set(column, filter);
         } else {
-            filteredData.forEach((row) => {
-                const originalIndex = row._originalIndex;
-                const tr = document.createElement('tr');
-                tr.className = `csv2table-tr csv2table-tbody-tr csv2table-row-${originalIndex}`;
-
-                this.headers.forEach((h, i) => {
-                    if (!this.visibleColumns.has(i)) return;
-                    const td = document.createElement('td');
-                    td.className = `csv2table-td csv2table-col-${i} csv2table-cell-${originalIndex}-${i}`;
-
-                    const colConfig = this.columns[i] || {};
-                    const type = colConfig.type || 'string';
-                    const cellValue = row[i] || '';
-
-                    if (type === 'url') {
-                        if (cellValue) {
-                            const a = document.createElement('a');
-                            a.href = cellValue;
-                            a.textContent = cellValue;
-                            a.target = '_blank';
-                            td.appendChild(a);
-                        }
-                    } else if (type === 'image') {
-                        if (cellValue) {
-                            const img = document.createElement('img');
-                            img.src = cellValue;
-                            img.alt = `ROW${originalIndex}COL${i}`;
-                            img.className = 'csv2table-img';
-                            td.appendChild(img);
-                        }
-                    } else {
-                        if (type === 'number') {
-                            let text = cellValue;
-                            if (typeof colConfig.toString === 'string') {
-                                text = this.formatNumber(cellValue, colConfig.toString, colConfig.locale);
-                            }
-                            if (typeof colConfig.unit === 'string' && String(text).trim() !== '') {
-                                text = String(text) + colConfig.unit;
-                            }
-                            td.textContent = text;
-                        } else if (type === 'date' && typeof colConfig.toString === 'string') {
-                            td.textContent = this.formatDate(cellValue, colConfig.format, colConfig.toString, colConfig.locale);
-                        } else {
-                            td.textContent = cellValue;
-                        }
-                    }
+            this.columnFilters.delete(column);
+        }
+        this.currentPage = 1;
+        this.renderFilterChips();
+        this.renderTable();
+    }
+
+    /**
+     * Counts how often each value occurs in a column.
+     * Counts are cached per column until rows are added or the data is replaced.
+     * @param {number} column Column index
+     * @returns {Map<string, number>} Count by value
+     */
+    getColumnValueCountMap(column) {
+        const cache = this.valueCountCache;
+        if (!cache || cache.data !== this.data || cache.length !== this.data.length) {
+            this.valueCountCache = { data: this.data, length: this.data.length, columns: new Map() };
+        }
+        let counts = this.valueCountCache.columns.get(column);
+        if (!counts) {
+            counts = new Map();
+            this.data.forEach(row => {
+                const value = row[column] || '';
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+            this.valueCountCache.columns.set(column, counts);
+        }
+        return counts;
+    }
+
+    /**
+     * Counts the distinct values of a column.
+     * @param {number} column Column index
+     * @returns {Array<{value: string, count: number}>} Values in natural order
+     */
+    getColumnValueCounts(column) {
+        return Array.from(this.getColumnValueCountMap(column), ([value, count]) => ({ value, count }))
+            .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+    }
+
+    toggleFilterPanel(column, anchor) {
+        const isSameColumn = this.filterPanel && this.filterPanel.column === column;
+        this.closeFilterPanel();
+        if (isSameColumn) return;
+
+        const container = document.getElementById(this.containerId);
+        const panel = document.createElement('div');
+        panel.className = 'csv2table-filter-panel';
+        panel.addEventListener('click', e => e.stopPropagation());
+        const kind = this.getFilterKind(column);
+        if (kind === 'range') {
+            this.renderRangeFilter(panel, column);
+        } else if (kind === 'dateRange') {
+            this.renderDateRangeFilter(panel, column);
+        } else {
+            this.renderValueFilter(panel, column);
+        }
+
+        // The panel lives outside the table so it survives re-rendering while values are toggled
+        const containerRect = container.getBoundingClientRect();
+        const anchorRect = anchor.getBoundingClientRect();
+        panel.style.top = `${anchorRect.bottom - containerRect.top + 4}px`;
+        panel.style.left = `${Math.max(0, anchorRect.left - containerRect.left)}px`;
+        container.appendChild(panel);
+
+        this.filterPanel = { column, element: panel };
+    }
+
+    getFilterKind(column) {
+        const colConfig = this.columns[column] || {};
+        if (typeof colConfig.filter === 'string') return colConfig.filter;
+        if (colConfig.type === 'number') return 'range';
+        if (colConfig.type === 'date') return 'dateRange';
+        return 'values';
+    }
+
+    closeFilterPanel() {
+        if (!this.filterPanel) return;
+        this.filterPanel.element.remove();
+        this.filterPanel = null;
+    }
+
+    renderValueFilter(panel, column) {
+        const allValues = this.getColumnValueCounts(column);
+
+        const searchInput = document.createElement('input');
+        searchInput.type = 'text';
+        searchInput.className = 'csv2table-filter-search';
+        searchInput.placeholder = this.i18n.filterSearchPlaceholder;
+        panel.appendChild(searchInput);
+
+        const actions = document.createElement('div');
+        actions.className = 'csv2table-filter-actions';
+        const selectAllBtn = document.createElement('button');
+        selectAllBtn.type = 'button';
+        selectAllBtn.textContent = this.i18n.selectAll;
+        const selectNoneBtn = document.createElement('button');
+        selectNoneBtn.type = 'button';
+        selectNoneBtn.textContent = this.i18n.selectNone;
+        actions.appendChild(selectAllBtn);
+        actions.appendChild(selectNoneBtn);
+        panel.appendChild(actions);
+
+        const list = document.createElement('div');
+        list.className = 'csv2table-filter-values';
+        panel.appendChild(list);
+
+        const getSelected = () => {
+            const filter = this.columnFilters.get(column);
+            return filter ? new Set(filter.values) : new Set(allValues.map(item => item.value));
+        };
+
+        // Checking every value is the same as having no filter
+        const applySelected = (selected) => {
+            const isAll = allValues.every(item => selected.has(item.value));
+            this.setColumnFilter(column, isAll ? null : { type: 'values', values: selected });
+        };
 
-                    td.setAttribute('data-label', h);
+        const getListed = () => {
+            const text = searchInput.value.toLowerCase();
+            return allValues.filter(item => (item.value || this.i18n.emptyValue).toLowerCase().includes(text));
+        };
 
-                    tr.appendChild(td);
+        const renderList = () => {
+            list.innerHTML = '';
+            const selected = getSelected();
+            getListed().forEach(item => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = selected.has(item.value);
+                checkbox.addEventListener('change', (e) => {
+                    const current = getSelected();
+                    if (e.target.checked) {
+                        current.add(item.value);
+                    } else {
+                        current.delete(item.value);
+                    }
+                    applySelected(current);
                 });
-                tbody.appendChild(tr);
+                const valueText = document.createElement('span');
+                valueText.className = 'csv2table-filter-value';
+                valueText.textContent = item.value || this.i18n.emptyValue;
+                const countText = document.createElement('span');
+                countText.className = 'csv2table-filter-count';
+                countText.textContent = item.count.toLocaleString();
+                label.appendChild(checkbox);
+                label.appendChild(valueText);
+                label.appendChild(countText);
+                list.appendChild(label);
             });
+        };
+
+        // Select all / none only affect the values matching the search box
+        selectAllBtn.addEventListener('click', () => {
+            const selected = getSelected();
+            getListed().forEach(item => selected.add(item.value));
+            applySelected(selected);
+            renderList();
+        });
+        selectNoneBtn.addEventListener('click', () => {
+            const selected = getSelected();
+            getListed().forEach(item => selected.delete(item.value));
+            applySelected(selected);
+            renderList();
+        });
+        searchInput.addEventListener('input', renderList);
+
+        renderList();
+    }
+
+    renderRangeFilter(panel, column) {
+        const colConfig = this.columns[column] || {};
+        const numbers = this.data
+            .map(row => parseFloat(String(row[column] || '').replace(/[^\d.-]/g, '')))
+            .filter(num => !isNaN(num));
+        if (numbers.length === 0) return;
+
+        const dataMin = numbers.reduce((a, b) => Math.min(a, b));
+        const dataMax = numbers.reduce((a, b) => Math.max(a, b));
+        const filter = this.columnFilters.get(column);
+
+        const slider = document.createElement('div');
+        slider.className = 'csv2table-range-slider';
+        const createHandle = (value) => {
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = dataMin;
+            input.max = dataMax;
+            input.step = 'any';
+            input.value = value;
+            slider.appendChild(input);
+            return input;
+        };
+        const minInput = createHandle(filter ? filter.min : dataMin);
+        const maxInput = createHandle(filter ? filter.max : dataMax);
+        panel.appendChild(slider);
+
+        const label = document.createElement('div');
+        label.className = 'csv2table-range-label';
+        panel.appendChild(label);
+
+        const getRange = () => {
+            const a = parseFloat(minInput.value);
+            const b = parseFloat(maxInput.value);
+            return { min: Math.min(a, b), max: Math.max(a, b) };
+        };
+        const updateLabel = () => {
+            const range = getRange();
+            label.textContent = `${this.formatNumberCell(String(range.min), colConfig)} \u2013 ${this.formatNumberCell(String(range.max), colConfig)}`;
+        };
+
+        // The full data range is the same as no filter
+        const apply = () => {
+            const range = getRange();
+            const isAll = range.min <= dataMin && range.max >= dataMax;
+            this.setColumnFilter(column, isAll ? null : { type: 'range', min: range.min, max: range.max });
+        };
+
+        [minInput, maxInput].forEach(input => {
+            input.addEventListener('input', updateLabel);
+            input.addEventListener('change', apply);
+        });
+        updateLabel();
+
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.className = 'csv2table-filter-clear';
+        clearBtn.textContent = this.i18n.clearFilter;
+        clearBtn.addEventListener('click', () => {
+            minInput.value = dataMin;
+            maxInput.value = dataMax;
+            updateLabel();
+            this.setColumnFilter(column, null);
+        });
+        panel.appendChild(clearBtn);
+    }
+
+    renderDateRangeFilter(panel, column) {
+        const colConfig = this.columns[column] || {};
+        const pad = n => String(n).padStart(2, '0');
+        const toInputDate = (timestamp) => {
+            const d = new Date(timestamp);
+            return `${String(d.getFullYear()).padStart(4, '0')}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+        };
+
+        const times = this.data
+            .map(row => this.parseDateString(row[column] || '', colConfig.format))
+            .filter(time => !isNaN(time));
+        const filter = this.columnFilters.get(column) || {};
+
+        const createInput = (labelText, value) => {
+            const label = document.createElement('label');
+            label.className = 'csv2table-date-range-field';
+            label.appendChild(document.createTextNode(labelText));
+            const input = document.createElement('input');
+            input.type = 'date';
+            if (times.length > 0) {
+                input.min = toInputDate(times.reduce((a, b) => Math.min(a, b)));
+                input.max = toInputDate(times.reduce((a, b) => Math.max(a, b)));
+            }
+            input.value = value || '';
+            label.appendChild(input);
+            panel.appendChild(label);
+            return input;
+        };
+        const fromInput = createInput(this.i18n.rangeFrom, filter.from);
+        const toInput = createInput(this.i18n.rangeTo, filter.to);
+
+        const apply = () => {
+            const from = fromInput.value || null;
+            const to = toInput.value || null;
+            this.setColumnFilter(column, from || to ? { type: 'dateRange', from, to } : null);
+        };
+        fromInput.addEventListener('change', apply);
+        toInput.addEventListener('change', apply);
+
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.className = 'csv2table-filter-clear';
+        clearBtn.textContent = this.i18n.clearFilter;
+        clearBtn.addEventListener('click', () => {
+            fromInput.value = '';
+            toInput.value = '';
+            this.setColumnFilter(column, null);
+        });
+        panel.appendChild(clearBtn);
+    }
+
+    describeColumnFilter(filter, column) {
+        const colConfig = this.columns[column] || {};
+        if (filter.type === 'values') {
+            const values = Array.from(filter.values, value => value || this.i18n.emptyValue);
+            return values.length > 3 ? `${values.slice(0, 3).join(', ')} +${values.length - 3}` : values.join(', ');
+        }
+        if (filter.type === 'range') {
+            return `${this.formatNumberCell(String(filter.min), colConfig)} \u2013 ${this.formatNumberCell(String(filter.max), colConfig)}`;
         }
+        if (filter.type === 'dateRange') {
+            if (!filter.from) return `\u2264 ${filter.to}`;
+            if (!filter.to) return `\u2265 ${filter.from}`;
+            return `${filter.from} \u2013 ${filter.to}`;
+        }
+        return '';
+    }
 
-        table.appendChild(tbody);
-        this.tableWrapper.appendChild(table);
+    renderFilterChips() {
+        if (!this.filterChipsElement) return;
+        this.filterChipsElement.innerHTML = '';
+
+        this.columnFilters.forEach((filter, column) => {
+            const chip = document.createElement('span');
+            chip.className = 'csv2table-filter-chip';
+            chip.textContent = `${this.headers[column]}: ${this.describeColumnFilter(filter, column)}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'csv2table-filter-chip-remove';
+            removeBtn.textContent = '\u00d7';
+            removeBtn.title = this.i18n.removeFilter;
+            removeBtn.addEventListener('click', () => {
+                this.closeFilterPanel();
+                this.setColumnFilter(column, null);
+            });
+            chip.appendChild(removeBtn);
+            this.filterChipsElement.appendChild(chip);
+        });
+    }
 
-        if (typeof this.onRenderComplete === 'function') {
-            this.onRenderComplete(this);
+    /**
+     * Returns the position of the current page within the filtered rows.
+     * The current page is clamped so it stays valid after search or sort changes.
+     * @returns {{page: number, pageSize: number, totalPages: number, totalRows: number, start: number, end: number}} start and end are 1-based row positions (0 when empty)
+     */
+    getPageInfo() {
+        const totalRows = this.rowIndices.length;
+        const pageSize = this.pagination ? this.pageSize : Math.max(totalRows, 1);
+        const totalPages = Math.max(1, Math.ceil(totalRows / pageSize));
+        this.currentPage = Math.min(Math.max(1, this.currentPage), totalPages);
+
+        const start = totalRows === 0 ? 0 : (this.currentPage - 1) * pageSize + 1;
+        const end = Math.min(this.currentPage * pageSize, totalRows);
+        return { page: this.currentPage, pageSize, totalPages, totalRows, start, end };
+    }
+
+    /**
+     * Shows the given page of the filtered rows.
+     * @param {number} page 1-based page number, clamped to the available pages
+     */
+    goToPage(page) {
+        this.currentPage = parseInt(page, 10) || 1;
+        if (this.tableWrapper) this.drawTable(this.rowIndices);
+    }
+
+    renderPager() {
+        if (!this.pagerElement) return;
+        this.pagerElement.innerHTML = '';
+
+        const info = this.getPageInfo();
+
+        const sizeLabel = document.createElement('label');
+        sizeLabel.className = 'csv2table-page-size';
+        sizeLabel.appendChild(document.createTextNode(this.i18n.rowsPerPage + ' '));
+        const sizeSelect = document.createElement('select');
+        this.pagination.pageSizes.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = size;
+            option.selected = size === this.pageSize;
+            sizeSelect.appendChild(option);
+        });
+        sizeSelect.addEventListener('change', (e) => {
+            // Keep the first visible row on screen after changing the page size
+            const firstRow = info.start > 0 ? info.start : 1;
+            this.pageSize = parseInt(e.target.value, 10);
+            this.goToPage(Math.ceil(firstRow / this.pageSize));
+        });
+        sizeLabel.appendChild(sizeSelect);
+        this.pagerElement.appendChild(sizeLabel);
+
+        const infoLabel = document.createElement('span');
+        infoLabel.className = 'csv2table-page-info';
+        infoLabel.textContent = this.i18n.pageInfo
+            .replace('{start}', info.start.toLocaleString())
+            .replace('{end}', info.end.toLocaleString())
+            .replace('{total}', info.totalRows.toLocaleString());
+        this.pagerElement.appendChild(infoLabel);
+
+        const nav = document.createElement('div');
+        nav.className = 'csv2table-page-nav';
+
+        const addButton = (text, page, className, disabled) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = `csv2table-page-btn ${className}`;
+            btn.textContent = text;
+            btn.disabled = disabled;
+            btn.addEventListener('click', () => this.goToPage(page));
+            nav.appendChild(btn);
+        };
+
+        addButton(this.i18n.firstPage, 1, 'csv2table-page-first', info.page === 1);
+        addButton(this.i18n.prevPage, info.page - 1, 'csv2table-page-prev', info.page === 1);
+
+        const from = Math.max(1, info.page - 2);
+        const to = Math.min(info.totalPages, info.page + 2);
+        for (let page = from; page <= to; page++) {
+            addButton(page.toLocaleString(), page, page === info.page ? 'csv2table-page-number active' : 'csv2table-page-number', page === info.page);
         }
+
+        addButton(this.i18n.nextPage, info.page + 1, 'csv2table-page-next', info.page === info.totalPages);
+        addButton(this.i18n.lastPage, info.totalPages, 'csv2table-page-last', info.page === info.totalPages);
+
+        this.pagerElement.appendChild(nav);
     }
 }
 window.Csv2Table = Csv2Table;